@@ -0,0 +1,158 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import sharp from 'sharp';
+import { setStorageDriver } from '../storage.js';
+import { sniffImageType } from '../attachments.js';
+
+describe('Post Attachments Tests (Simplified)', () => {
+    let author = {
+        name: 'Test Attachment Author',
+        email: `test-attachments-author-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+    let other = {
+        name: 'Test Attachment Other',
+        email: `test-attachments-other-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let authorId = null;
+    let otherId = null;
+    let authorToken = '';
+    let otherToken = '';
+    let postId = null;
+    let jpeg = null;
+
+    // Keeps uploads in memory instead of on disk
+    const stored = new Map();
+    const memoryDriver = {
+        put: async (key, buffer) => { stored.set(key, buffer); },
+        remove: async (keys) => { keys.forEach((key) => stored.delete(key)); },
+        url: (key) => `https://files.example.com/${key}`
+    };
+
+    const register = async (user) => {
+        const response = await request(app)
+            .post('/auth/register')
+            .send(user);
+        const id = response.body.user.id;
+        const token = jwt.sign({ id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        return { id, token };
+    };
+
+    const upload = (token, buffer, filename = 'photo.jpg', contentType = 'image/jpeg') => request(app)
+        .post(`/posts/${postId}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('file', buffer, { filename, contentType });
+
+    const cleanupTestData = async () => {
+        try {
+            for (const id of [authorId, otherId].filter(Boolean)) {
+                await supabase.from('Posts').delete().eq('user_id', id);
+                await supabase.from('Users').delete().eq('id', id);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        setStorageDriver(memoryDriver);
+
+        ({ id: authorId, token: authorToken } = await register(author));
+        ({ id: otherId, token: otherToken } = await register(other));
+
+        const postResponse = await request(app)
+            .post('/posts')
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ title: 'Post with pictures', body: 'Look' });
+        postId = postResponse.body.post.id;
+
+        jpeg = await sharp({ create: { width: 800, height: 600, channels: 3, background: 'red' } })
+            .jpeg()
+            .withMetadata({ exif: { IFD0: { Artist: 'Someone', Copyright: 'Private' } } })
+            .toBuffer();
+    });
+
+    afterAll(async () => {
+        setStorageDriver(null);
+        await cleanupTestData();
+    });
+
+    describe('sniffImageType', () => {
+        test('should identify images by their bytes', () => {
+            expect(sniffImageType(jpeg)).toBe('image/jpeg');
+            expect(sniffImageType(Buffer.from('<svg onload="alert(1)"/>'))).toBeNull();
+        });
+    });
+
+    describe('POST /posts/:id/attachments', () => {
+        test('should store the image and a thumbnail without EXIF data', async () => {
+            const response = await upload(authorToken, jpeg).expect(201);
+            const { attachment } = response.body;
+
+            expect(attachment.url).toMatch(/^https:\/\/files\.example\.com\/posts\/\d+\/.+\.jpg$/);
+            expect(attachment.thumbnail_url).toMatch(/-thumb\.webp$/);
+            expect(attachment).toMatchObject({ content_type: 'image/jpeg', width: 800, height: 600 });
+
+            const key = attachment.url.replace('https://files.example.com/', '');
+            const metadata = await sharp(stored.get(key)).metadata();
+            expect(metadata.exif).toBeUndefined();
+
+            const thumbnail = await sharp(stored.get(`${key.replace(/\.jpg$/, '')}-thumb.webp`)).metadata();
+            expect(thumbnail.width).toBe(320);
+        });
+
+        test('should reject files that are not images whatever their name', async () => {
+            await upload(authorToken, Buffer.from('<svg onload="alert(1)"/>'), 'evil.png', 'image/png').expect(415);
+        });
+
+        test('should go by the bytes rather than the claimed type', async () => {
+            const response = await upload(authorToken, jpeg, 'photo.bin', 'application/octet-stream').expect(201);
+            expect(response.body.attachment.content_type).toBe('image/jpeg');
+
+            await request(app)
+                .delete(`/posts/${postId}/attachments/${response.body.attachment.id}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+        });
+
+        test('should only let the author attach files', async () => {
+            await upload(otherToken, jpeg).expect(400);
+        });
+
+        test('should return attachments with the post', async () => {
+            const response = await request(app)
+                .get(`/posts/${postId}`)
+                .expect(200);
+
+            expect(response.body.post.attachments).toHaveLength(1);
+            expect(response.body.post).not.toHaveProperty('Attachments');
+        });
+    });
+
+    describe('DELETE /posts/:id/attachments/:attachmentId', () => {
+        test('should remove the attachment and its files', async () => {
+            const { attachment } = (await upload(authorToken, jpeg).expect(201)).body;
+            const key = attachment.url.replace('https://files.example.com/', '');
+
+            await request(app)
+                .delete(`/posts/${postId}/attachments/${attachment.id}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(stored.has(key)).toBe(false);
+        });
+
+        test('should remove files when the post is deleted', async () => {
+            await request(app)
+                .delete(`/posts/${postId}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(stored.size).toBe(0);
+        });
+    });
+});
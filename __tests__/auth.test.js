@@ -129,7 +129,7 @@ describe('Authentication API Tests', () => {
                 })
                 .expect(400);
 
-            expect(response.body).toHaveProperty('message', 'User not found');
+            expect(response.body).toHaveProperty('message', 'Invalid credentials');
         });
 
         test('should not login with invalid password', async () => {
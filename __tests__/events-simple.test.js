@@ -0,0 +1,231 @@
+import http from 'http';
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { createMemoryBus } from '../events.js';
+
+describe('Server-Sent Events Tests (Simplified)', () => {
+    const stamp = Date.now();
+    const users = ['author', 'reader'].map((role) => ({
+        name: `Test ${role} Events`,
+        email: `test-events-${role}-${stamp}@example.com`,
+        password: 'testpassword123'
+    }));
+
+    const ids = [];
+    const tokens = [];
+    let server = null;
+    let baseUrl = '';
+    const streams = [];
+
+    const as = (i) => ({ Authorization: `Bearer ${tokens[i]}` });
+
+    // Collects parsed events from a live /events connection
+    const openStream = (headers) => new Promise((resolve, reject) => {
+        const events = [];
+        const waiters = [];
+        let buffer = '';
+
+        const req = http.get(`${baseUrl}/events`, { headers }, (res) => {
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const event = {};
+                    for (const line of block.split('\n')) {
+                        const [field, ...rest] = line.split(': ');
+                        if (['id', 'event', 'data'].includes(field)) {
+                            event[field] = field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ');
+                        }
+                    }
+                    if (event.event) {
+                        events.push(event);
+                    }
+                }
+                for (const waiter of [...waiters]) {
+                    const found = events.find(waiter.predicate);
+                    if (found) {
+                        waiters.splice(waiters.indexOf(waiter), 1);
+                        waiter.resolve(found);
+                    }
+                }
+            });
+
+            const stream = {
+                status: res.statusCode,
+                events,
+                waitFor: (predicate) => {
+                    const found = events.find(predicate);
+                    return found ? Promise.resolve(found) : new Promise((done) => waiters.push({ predicate, resolve: done }));
+                },
+                close: () => req.destroy(),
+            };
+            streams.push(stream);
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+
+    const createPost = async (i, fields) => {
+        const response = await request(app)
+            .post('/posts')
+            .set(as(i))
+            .send({ body: 'Event body', ...fields })
+            .expect(201);
+        return response.body.post;
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            for (const id of ids) {
+                await supabase.from('Posts').delete().eq('user_id', id);
+                await supabase.from('ApiKeys').delete().eq('user_id', id);
+                await supabase.from('Users').delete().eq('id', id);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        for (const user of users) {
+            const response = await request(app)
+                .post('/auth/register')
+                .send(user);
+            ids.push(response.body.user.id);
+            tokens.push(jwt.sign(
+                { id: response.body.user.id, email: user.email },
+                process.env.JWT_SECRET,
+                { expiresIn: '1h' }
+            ));
+        }
+
+        server = http.createServer(app);
+        await new Promise((resolve) => server.listen(0, resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        streams.forEach((stream) => stream.close());
+        await new Promise((resolve) => server.close(resolve));
+        await cleanupTestData();
+    });
+
+    describe('memory event bus', () => {
+        test('should replay events after a known id', () => {
+            const bus = createMemoryBus(3);
+            const published = [1, 2, 3, 4].map((n) => bus.publish({ type: 'test', data: { n } }));
+
+            expect(bus.since(published[1].id).map((e) => e.data.n)).toEqual([3, 4]);
+            expect(bus.since(published[3].id)).toEqual([]);
+        });
+
+        test('should not replay from unknown or dropped ids', () => {
+            const bus = createMemoryBus(3);
+            const published = [1, 2, 3, 4, 5].map((n) => bus.publish({ type: 'test', data: { n } }));
+
+            expect(bus.since(published[0].id)).toBeNull();
+            expect(bus.since('00000000-1')).toBeNull();
+        });
+    });
+
+    describe('GET /events', () => {
+        test('should require authentication', async () => {
+            await request(app)
+                .get('/events')
+                .expect(401);
+        });
+
+        test('should stream public post changes and keep drafts to their author', async () => {
+            const authorStream = await openStream(as(0));
+            const readerStream = await openStream(as(1));
+            expect(readerStream.status).toBe(200);
+
+            const draft = await createPost(0, { title: 'Event draft', status: 'draft' });
+            const post = await createPost(0, { title: 'Event post' });
+
+            const authorDraft = await authorStream.waitFor((e) => e.event === 'post.created' && e.data.post.id === draft.id);
+            expect(authorDraft.data.post.status).toBe('draft');
+
+            const readerFirst = await readerStream.waitFor((e) => e.event === 'post.created' && e.data.post.user_id === ids[0]);
+            expect(readerFirst.data.post.id).toBe(post.id);
+            expect(readerFirst.data.post.body_html).toBeDefined();
+
+            await request(app)
+                .delete(`/posts/${post.id}`)
+                .set(as(0))
+                .expect(200);
+
+            const deleted = await readerStream.waitFor((e) => e.event === 'post.deleted' && e.data.id === post.id);
+            expect(deleted.id).toBeTruthy();
+
+            authorStream.close();
+            readerStream.close();
+        });
+
+        test('should catch up from Last-Event-ID after reconnecting', async () => {
+            const first = await openStream(as(1));
+            const before = await createPost(0, { title: 'Before disconnect' });
+            const seen = await first.waitFor((e) => e.event === 'post.created' && e.data.post.id === before.id);
+            first.close();
+
+            const missed = await createPost(0, { title: 'While disconnected' });
+
+            const second = await openStream({ ...as(1), 'Last-Event-ID': seen.id });
+            const replayed = await second.waitFor((e) => e.event === 'post.created' && e.data.post.id === missed.id);
+            expect(replayed.id).not.toBe(seen.id);
+            second.close();
+        });
+
+        test('should ask clients with an unknown Last-Event-ID to resync', async () => {
+            const stream = await openStream({ ...as(1), 'Last-Event-ID': 'stale-1' });
+            await stream.waitFor((e) => e.event === 'resync');
+            stream.close();
+        });
+
+        test('should ask clients to reauthenticate when their token expires', async () => {
+            const shortLived = jwt.sign({ id: ids[1], email: users[1].email }, process.env.JWT_SECRET, { expiresIn: 2 });
+            const stream = await openStream({ Authorization: `Bearer ${shortLived}` });
+
+            await stream.waitFor((e) => e.event === 'reauth');
+            stream.close();
+        });
+
+        test('should ask API key clients to reauthenticate once the key is revoked', async () => {
+            const created = await request(app)
+                .post('/auth/api-keys')
+                .set(as(1))
+                .send({ name: 'Event stream key', scopes: [] })
+                .expect(201);
+            const stream = await openStream({ Authorization: `ApiKey ${created.body.apiKey.key}` });
+            expect(stream.status).toBe(200);
+
+            await request(app)
+                .delete('/auth/api-keys')
+                .set(as(1))
+                .expect(200);
+
+            await stream.waitFor((e) => e.event === 'reauth');
+            stream.close();
+        });
+
+        test('should push notifications to their recipient only', async () => {
+            const post = await createPost(0, { title: 'Notify me' });
+            const authorStream = await openStream(as(0));
+
+            await request(app)
+                .post(`/posts/${post.id}/reactions`)
+                .set(as(1))
+                .send({ type: 'like' })
+                .expect(200);
+
+            const event = await authorStream.waitFor((e) => e.event === 'notification');
+            expect(event.data.notification.type).toBe('reaction');
+            expect(event.data.unreadCount).toBeGreaterThan(0);
+            authorStream.close();
+        });
+    });
+});
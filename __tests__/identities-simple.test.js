@@ -0,0 +1,165 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import { findOrCreateOAuthUser } from '../identities.js';
+import jwt from 'jsonwebtoken';
+
+describe('Account Identity Tests (Simplified)', () => {
+    const stamp = Date.now();
+    let passwordUser = {
+        name: 'Test User Identities',
+        email: `test-identities-${stamp}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let passwordUserId = null;
+    let oauthUserId = null;
+
+    const tokenFor = (id, email) => jwt.sign(
+        { id, email },
+        process.env.JWT_SECRET,
+        { expiresIn: "24h" }
+    );
+
+    const cleanupTestData = async () => {
+        try {
+            for (const id of [passwordUserId, oauthUserId].filter(Boolean)) {
+                await supabase.from('UserIdentities').delete().eq('user_id', id);
+                await supabase.from('Users').delete().eq('id', id);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(passwordUser);
+
+        passwordUserId = registerResponse.body.user.id;
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('findOrCreateOAuthUser', () => {
+        test('should create a user and identity for a new subject', async () => {
+            const result = await findOrCreateOAuthUser({
+                provider: 'google',
+                subject: `google-${stamp}`,
+                email: `test-oauth-${stamp}@example.com`,
+                name: 'OAuth Identity User',
+                emailVerified: true,
+            });
+
+            expect(result.user).toHaveProperty('id');
+            expect(result.user.verified_at).toBeTruthy();
+            oauthUserId = result.user.id;
+        });
+
+        test('should find the same user by provider subject', async () => {
+            const result = await findOrCreateOAuthUser({
+                provider: 'google',
+                subject: `google-${stamp}`,
+                email: `changed-${stamp}@example.com`,
+                name: 'OAuth Identity User',
+            });
+
+            expect(result.user).toHaveProperty('id', oauthUserId);
+        });
+
+        test('should not merge into an existing account by email', async () => {
+            const result = await findOrCreateOAuthUser({
+                provider: 'google',
+                subject: `google-other-${stamp}`,
+                email: passwordUser.email,
+                name: 'Someone Else',
+            });
+
+            expect(result).toEqual({ error: 'account_exists' });
+        });
+
+        test('should link a provider to a logged-in user', async () => {
+            const result = await findOrCreateOAuthUser({
+                provider: 'google',
+                subject: `google-link-${stamp}`,
+                email: passwordUser.email,
+                name: passwordUser.name,
+                linkUserId: passwordUserId,
+            });
+
+            expect(result.linked).toBe(true);
+            expect(result.user).toHaveProperty('id', passwordUserId);
+        });
+
+        test('should refuse to link an identity owned by someone else', async () => {
+            const result = await findOrCreateOAuthUser({
+                provider: 'google',
+                subject: `google-${stamp}`,
+                name: 'OAuth Identity User',
+                linkUserId: passwordUserId,
+            });
+
+            expect(result).toEqual({ error: 'identity_in_use' });
+        });
+    });
+
+    describe('GET /auth/identities', () => {
+        test('should list linked providers', async () => {
+            const response = await request(app)
+                .get('/auth/identities')
+                .set('Authorization', `Bearer ${tokenFor(passwordUserId, passwordUser.email)}`)
+                .expect(200);
+
+            expect(response.body.identities.map((i) => i.provider)).toEqual(['google']);
+        });
+    });
+
+    describe('DELETE /auth/identities/:provider', () => {
+        test('should not remove the only login method', async () => {
+            await request(app)
+                .delete('/auth/identities/google')
+                .set('Authorization', `Bearer ${tokenFor(oauthUserId)}`)
+                .expect(400);
+        });
+
+        test('should unlink when a password exists', async () => {
+            await request(app)
+                .delete('/auth/identities/google')
+                .set('Authorization', `Bearer ${tokenFor(passwordUserId, passwordUser.email)}`)
+                .expect(200);
+
+            await request(app)
+                .delete('/auth/identities/google')
+                .set('Authorization', `Bearer ${tokenFor(passwordUserId, passwordUser.email)}`)
+                .expect(404);
+        });
+    });
+
+    describe('POST /auth/password/set', () => {
+        test('should add a password to an OAuth-only account', async () => {
+            await request(app)
+                .post('/auth/password/set')
+                .set('Authorization', `Bearer ${tokenFor(oauthUserId)}`)
+                .send({ password: 'newpassword123' })
+                .expect(200);
+
+            await request(app)
+                .post('/auth/login')
+                .send({ email: `test-oauth-${stamp}@example.com`, password: 'newpassword123' })
+                .expect(200);
+        });
+
+        test('should not overwrite an existing password', async () => {
+            const response = await request(app)
+                .post('/auth/password/set')
+                .set('Authorization', `Bearer ${tokenFor(passwordUserId, passwordUser.email)}`)
+                .send({ password: 'anotherpassword123' })
+                .expect(400);
+
+            expect(response.body).toHaveProperty('message', 'This account already has a password');
+        });
+    });
+});
@@ -0,0 +1,122 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import { setMailTransport } from '../mailer.js';
+
+describe('Login Throttling Tests (Simplified)', () => {
+    const stamp = Date.now();
+    let testUser = {
+        name: 'Test User Lockout',
+        email: `test-lockout-${stamp}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let userId = null;
+    let sentMail = [];
+
+    const attempt = (email, password) => request(app)
+        .post('/auth/login')
+        .send({ email, password });
+
+    // Old enough that the progressive delay has already passed
+    const seedFailures = (email, count) => supabase
+        .from('LoginAttempts')
+        .insert(Array.from({ length: count }, () => ({
+            email,
+            succeeded: false,
+            created_at: new Date(Date.now() - 60 * 1000).toISOString(),
+        })));
+
+    const cleanupTestData = async () => {
+        try {
+            await supabase.from('LoginAttempts').delete().like('email', `%${stamp}@example.com`);
+            if (userId) {
+                await supabase.from('AccountUnlockTokens').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        setMailTransport(async (message) => {
+            sentMail.push(message);
+        });
+
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(testUser);
+
+        userId = registerResponse.body.user.id;
+    });
+
+    afterAll(async () => {
+        setMailTransport(null);
+        await cleanupTestData();
+    });
+
+    describe('Consistent responses', () => {
+        test('should answer unknown emails like wrong passwords', async () => {
+            const unknown = await attempt(`nobody-${stamp}@example.com`, 'whatever123').expect(400);
+            const wrong = await attempt(testUser.email, 'wrongpassword').expect(400);
+
+            expect(unknown.body).toEqual(wrong.body);
+            expect(wrong.body).toHaveProperty('message', 'Invalid credentials');
+        });
+    });
+
+    describe('Progressive delay', () => {
+        test('should ask the client to wait after repeated failures', async () => {
+            const email = `test-delay-${stamp}@example.com`;
+            await attempt(email, 'wrong1').expect(400);
+            await attempt(email, 'wrong2').expect(400);
+            await attempt(email, 'wrong3').expect(400);
+
+            const response = await attempt(email, 'wrong4').expect(429);
+
+            expect(response.headers).toHaveProperty('retry-after');
+            expect(response.body.message).toMatch(/wait/);
+        });
+    });
+
+    describe('Account lockout', () => {
+        test('should lock the account and email an unlock link', async () => {
+            // Start from a clean slate so only the seeded failures count
+            await supabase.from('LoginAttempts').delete().eq('email', testUser.email);
+            await seedFailures(testUser.email, 9);
+            await attempt(testUser.email, 'wrongpassword').expect(400);
+
+            const response = await attempt(testUser.email, testUser.password).expect(429);
+
+            expect(response.body.message).toMatch(/unlock link/);
+            expect(sentMail.some((m) => m.to === testUser.email && /unlock/i.test(m.text))).toBe(true);
+        });
+
+        test('should lock unknown emails the same way', async () => {
+            const email = `nobody-locked-${stamp}@example.com`;
+            await seedFailures(email, 9);
+            await attempt(email, 'wrongpassword').expect(400);
+
+            const response = await attempt(email, 'wrongpassword').expect(429);
+            expect(response.body.message).toMatch(/unlock link/);
+        });
+
+        test('should unlock with the emailed token', async () => {
+            const message = sentMail.filter((m) => m.to === testUser.email).pop();
+            const token = decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+
+            await request(app)
+                .get(`/auth/unlock?token=${encodeURIComponent(token)}`)
+                .expect(200);
+
+            await attempt(testUser.email, testUser.password).expect(200);
+        });
+
+        test('should reject an invalid unlock token', async () => {
+            await request(app)
+                .get('/auth/unlock?token=not-a-real-token')
+                .expect(400);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { summarizeNotification } from '../notifications.js';
+
+describe('Notifications Tests (Simplified)', () => {
+    const stamp = Date.now();
+    const users = ['author', 'fan1', 'fan2', 'fan3'].map((role) => ({
+        name: `Test ${role} Notifications`,
+        email: `test-notifications-${role}-${stamp}@example.com`,
+        password: 'testpassword123'
+    }));
+
+    const ids = [];
+    const tokens = [];
+    let postId = null;
+
+    const as = (i) => ({ Authorization: `Bearer ${tokens[i]}` });
+
+    const listNotifications = async (query = '') => {
+        const response = await request(app)
+            .get(`/notifications${query}`)
+            .set(as(0))
+            .expect(200);
+        return response.body;
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            for (const id of ids) {
+                await supabase.from('Posts').delete().eq('user_id', id);
+                await supabase.from('Users').delete().eq('id', id);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        for (const user of users) {
+            const response = await request(app)
+                .post('/auth/register')
+                .send(user);
+            ids.push(response.body.user.id);
+            tokens.push(jwt.sign(
+                { id: response.body.user.id, email: user.email },
+                process.env.JWT_SECRET,
+                { expiresIn: '1h' }
+            ));
+        }
+
+        const postResponse = await request(app)
+            .post('/posts')
+            .set(as(0))
+            .send({ title: 'Notified post', body: 'Please react' })
+            .expect(201);
+        postId = postResponse.body.post.id;
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('summarizeNotification', () => {
+        test('should name one or two actors and count the rest', () => {
+            expect(summarizeNotification('follow', ['Alice'], 1)).toBe('Alice followed you');
+            expect(summarizeNotification('reaction', ['Alice', 'Bob'], 2)).toBe('Alice and Bob reacted to your post');
+            expect(summarizeNotification('reaction', ['Alice', 'Bob'], 5)).toBe('Alice and 4 others reacted to your post');
+        });
+    });
+
+    describe('GET /notifications', () => {
+        test('should require a session', async () => {
+            await request(app)
+                .get('/notifications')
+                .expect(401);
+        });
+
+        test('should group a burst of reactions into one notification', async () => {
+            // A second reaction from the same user isn't another actor
+            for (const [i, type] of [[1, 'like'], [2, 'like'], [2, 'love'], [3, 'like']]) {
+                await request(app)
+                    .post(`/posts/${postId}/reactions`)
+                    .set(as(i))
+                    .send({ type })
+                    .expect(200);
+            }
+
+            // The author's own reaction doesn't notify them
+            await request(app)
+                .post(`/posts/${postId}/reactions`)
+                .set(as(0))
+                .send({ type: 'like' })
+                .expect(200);
+
+            const body = await listNotifications();
+            expect(body.unreadCount).toBe(1);
+            expect(body.notifications).toHaveLength(1);
+            expect(body.notifications[0].type).toBe('reaction');
+            expect(body.notifications[0].actor_count).toBe(3);
+            expect(body.notifications[0].summary).toBe(`${users[3].name} and 2 others reacted to your post`);
+            expect(body.notifications[0].Posts.id).toBe(postId);
+        });
+
+        test('should notify about comments and follows', async () => {
+            await request(app)
+                .post(`/posts/${postId}/comments`)
+                .set(as(1))
+                .send({ body: 'Nice post' })
+                .expect(201);
+
+            await request(app)
+                .post(`/users/${ids[0]}/follow`)
+                .set(as(2))
+                .expect(200);
+
+            const body = await listNotifications();
+            expect(body.unreadCount).toBe(3);
+            expect(body.notifications.map((n) => n.type).sort()).toEqual(['comment', 'follow', 'reaction']);
+        });
+    });
+
+    describe('marking notifications read', () => {
+        test('should mark one notification read', async () => {
+            const { notifications } = await listNotifications();
+
+            const response = await request(app)
+                .post(`/notifications/${notifications[0].id}/read`)
+                .set(as(0))
+                .expect(200);
+            expect(response.body.unreadCount).toBe(2);
+        });
+
+        test('should not mark another user\'s notification read', async () => {
+            const { notifications } = await listNotifications('?unread=true');
+
+            await request(app)
+                .post(`/notifications/${notifications[0].id}/read`)
+                .set(as(1))
+                .expect(404);
+        });
+
+        test('should mark all notifications read', async () => {
+            const response = await request(app)
+                .post('/notifications/read-all')
+                .set(as(0))
+                .expect(200);
+            expect(response.body.updated).toBe(2);
+
+            const counter = await request(app)
+                .get('/notifications/unread-count')
+                .set(as(0))
+                .expect(200);
+            expect(counter.body.unreadCount).toBe(0);
+        });
+    });
+
+    describe('preferences', () => {
+        test('should default every type to on', async () => {
+            const response = await request(app)
+                .get('/notifications/preferences')
+                .set(as(0))
+                .expect(200);
+            expect(response.body.preferences).toEqual({ comment: true, reply: true, reaction: true, follow: true });
+        });
+
+        test('should reject unknown types', async () => {
+            await request(app)
+                .put('/notifications/preferences')
+                .set(as(0))
+                .send({ mentions: false })
+                .expect(400);
+        });
+
+        test('should stop notifications of a disabled type', async () => {
+            await request(app)
+                .put('/notifications/preferences')
+                .set(as(0))
+                .send({ reaction: false })
+                .expect(200);
+
+            await request(app)
+                .post(`/posts/${postId}/reactions`)
+                .set(as(1))
+                .send({ type: 'love' })
+                .expect(200);
+
+            const body = await listNotifications('?unread=true');
+            expect(body.notifications).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,176 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import app from '../test-server.js';
+import passport from '../passport-config.js';
+import { supabase } from '../db.js';
+import { providerConfigFromEnv, registerOAuthProviders } from '../oauth-providers.js';
+
+describe('OAuth Provider Registry Tests (Simplified)', () => {
+    const subject = `mock-subject-${Date.now()}`;
+    const email = `test-oidc-${Date.now()}@example.com`;
+
+    let issuerServer = null;
+    let issuer = '';
+    let userId = null;
+
+    // Minimal OpenID Connect issuer: discovery, token and userinfo endpoints
+    const startMockIssuer = () => {
+        const mock = express();
+        mock.use(express.urlencoded({ extended: false }));
+
+        mock.get('/.well-known/openid-configuration', (req, res) => {
+            res.json({
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                userinfo_endpoint: `${issuer}/userinfo`,
+            });
+        });
+
+        mock.post('/token', (req, res) => {
+            if (req.body.code !== 'good-code' || !req.body.code_verifier) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+            res.json({ access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 3600 });
+        });
+
+        mock.get('/userinfo', (req, res) => {
+            if (req.headers.authorization !== 'Bearer mock-access-token') {
+                return res.status(401).end();
+            }
+            res.json({ sub: subject, email, email_verified: true, name: 'Mock OIDC User' });
+        });
+
+        return new Promise((resolve) => {
+            const server = mock.listen(0, '127.0.0.1', () => resolve(server));
+        });
+    };
+
+    // Follows the provider redirect and returns the state it was given
+    const beginLogin = async (agent) => {
+        const response = await agent
+            .get('/auth/mockidp')
+            .expect(302);
+
+        return new URL(response.headers.location).searchParams.get('state');
+    };
+
+    const completeLogin = async (agent) => {
+        const state = await beginLogin(agent);
+        const response = await agent
+            .get(`/auth/mockidp/callback?code=good-code&state=${state}`)
+            .expect(302);
+
+        const location = new URL(response.headers.location);
+        return jwt.decode(location.searchParams.get('token'));
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            if (userId) {
+                await supabase.from('UserIdentities').delete().eq('user_id', userId);
+                await supabase.from('RefreshTokens').delete().eq('user_id', userId);
+                await supabase.from('Sessions').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        issuerServer = await startMockIssuer();
+        issuer = `http://127.0.0.1:${issuerServer.address().port}`;
+
+        await registerOAuthProviders(passport, [{
+            name: 'mockidp',
+            type: 'oidc',
+            label: 'Mock IdP',
+            issuer,
+            clientId: 'mock-client',
+            clientSecret: 'mock-secret',
+            callbackURL: 'http://localhost/auth/mockidp/callback',
+        }]);
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+        await new Promise((resolve) => issuerServer.close(resolve));
+    });
+
+    describe('providerConfigFromEnv', () => {
+        test('should read GitHub, Microsoft and generic OIDC providers', () => {
+            const configs = providerConfigFromEnv({
+                GITHUB_CLIENT_ID: 'gh-id',
+                GITHUB_CLIENT_SECRET: 'gh-secret',
+                MICROSOFT_CLIENT_ID: 'ms-id',
+                MICROSOFT_TENANT: 'contoso',
+                OIDC_PROVIDERS: 'acme',
+                OIDC_ACME_ISSUER: 'https://id.acme.test',
+                OIDC_ACME_CLIENT_ID: 'acme-id',
+                OIDC_ACME_LABEL: 'Acme SSO',
+            });
+
+            expect(configs.map((c) => c.name)).toEqual(['github', 'microsoft', 'acme']);
+            expect(configs[1].issuer).toBe('https://login.microsoftonline.com/contoso/v2.0');
+            expect(configs[2]).toMatchObject({ type: 'oidc', label: 'Acme SSO', clientId: 'acme-id' });
+        });
+    });
+
+    describe('GET /auth/providers', () => {
+        test('should list configured providers', async () => {
+            const response = await request(app)
+                .get('/auth/providers')
+                .expect(200);
+
+            expect(response.body.providers).toContainEqual({ name: 'mockidp', label: 'Mock IdP' });
+        });
+    });
+
+    describe('GET /auth/:provider', () => {
+        test('should redirect to the issuer with state and PKCE', async () => {
+            const response = await request.agent(app)
+                .get('/auth/mockidp')
+                .expect(302);
+
+            const location = new URL(response.headers.location);
+            expect(location.origin + location.pathname).toBe(`${issuer}/authorize`);
+            expect(location.searchParams.get('state')).toBeTruthy();
+            expect(location.searchParams.get('code_challenge')).toBeTruthy();
+            expect(location.searchParams.get('scope')).toBe('openid profile email');
+        });
+
+        test('should 404 for providers that are not configured', async () => {
+            await request(app)
+                .get('/auth/not-a-provider')
+                .expect(404);
+        });
+    });
+
+    describe('GET /auth/:provider/callback', () => {
+        test('should reject a callback with a forged state', async () => {
+            const agent = request.agent(app);
+            await beginLogin(agent);
+
+            const response = await agent
+                .get('/auth/mockidp/callback?code=good-code&state=forged')
+                .expect(302);
+
+            expect(response.headers.location).toContain('/login?error=');
+        });
+
+        test('should create a user on first login', async () => {
+            const claims = await completeLogin(request.agent(app));
+
+            expect(claims).toHaveProperty('email', email);
+            userId = claims.id;
+        });
+
+        test('should match the same user by subject on later logins', async () => {
+            const claims = await completeLogin(request.agent(app));
+
+            expect(claims).toHaveProperty('id', userId);
+        });
+    });
+});
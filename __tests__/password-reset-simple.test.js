@@ -0,0 +1,171 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import { getMailTransport, setMailTransport } from '../mailer.js';
+
+describe('Password Reset Tests (Simplified)', () => {
+    let testUser = {
+        name: 'Test User Reset',
+        email: `test-reset-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let userId = null;
+    let sentMail = [];
+    const collectMail = async (message) => {
+        sentMail.push(message);
+    };
+
+    // Pull the token out of the most recent reset email
+    const latestResetToken = () => {
+        const message = sentMail[sentMail.length - 1];
+        const match = message.text.match(/token=([^\s]+)/);
+        return decodeURIComponent(match[1]);
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            if (userId) {
+                await supabase.from('PasswordResetTokens').delete().eq('user_id', userId);
+                await supabase.from('ApiKeys').delete().eq('user_id', userId);
+                await supabase.from('RefreshTokens').delete().eq('user_id', userId);
+                await supabase.from('Sessions').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        setMailTransport(collectMail);
+
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(testUser);
+
+        userId = registerResponse.body.user.id;
+    });
+
+    afterAll(async () => {
+        setMailTransport(null);
+        await cleanupTestData();
+    });
+
+    describe('POST /auth/password/forgot', () => {
+        test('should require an email', async () => {
+            const response = await request(app)
+                .post('/auth/password/forgot')
+                .send({})
+                .expect(400);
+
+            expect(response.body).toHaveProperty('message', 'email is required');
+        });
+
+        test('should not reveal whether an account exists', async () => {
+            const sentBefore = sentMail.length;
+            const response = await request(app)
+                .post('/auth/password/forgot')
+                .send({ email: `nobody-${Date.now()}@example.com` })
+                .expect(200);
+
+            expect(response.body).toHaveProperty('message', 'If that account exists, a reset link has been sent');
+            expect(sentMail.length).toBe(sentBefore);
+        });
+
+        test('should email a reset link to an existing account', async () => {
+            await request(app)
+                .post('/auth/password/forgot')
+                .send({ email: testUser.email })
+                .expect(200);
+
+            expect(sentMail[sentMail.length - 1]).toHaveProperty('to', testUser.email);
+            expect(latestResetToken()).toBeTruthy();
+        });
+    });
+
+    describe('POST /auth/password/reset', () => {
+        test('should reject an invalid token', async () => {
+            const response = await request(app)
+                .post('/auth/password/reset')
+                .send({ token: 'not-a-real-token', password: 'newpassword123' })
+                .expect(400);
+
+            expect(response.body).toHaveProperty('message', 'Invalid or expired reset token');
+        });
+
+        test('should reset the password, end sessions and only work once', async () => {
+            const loginResponse = await request(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: testUser.password })
+                .expect(200);
+            const refreshCookie = loginResponse.headers['set-cookie']
+                .find((c) => c.startsWith(`${process.env.COOKIE_NAME}_refresh=`))
+                .split(';')[0];
+            const accessCookie = loginResponse.headers['set-cookie']
+                .find((c) => c.startsWith(`${process.env.COOKIE_NAME}=`))
+                .split(';')[0];
+
+            const keyResponse = await request(app)
+                .post('/auth/api-keys')
+                .set('Cookie', accessCookie)
+                .send({ name: 'Before reset', scopes: ['posts:write'] })
+                .expect(201);
+
+            await request(app)
+                .post('/auth/password/forgot')
+                .send({ email: testUser.email })
+                .expect(200);
+            const token = latestResetToken();
+
+            await request(app)
+                .post('/auth/password/reset')
+                .send({ token, password: 'newpassword123' })
+                .expect(200);
+
+            await request(app)
+                .post('/auth/password/reset')
+                .send({ token, password: 'anotherpassword123' })
+                .expect(400);
+
+            await request(app)
+                .post('/auth/refresh')
+                .set('Cookie', refreshCookie)
+                .expect(401);
+
+            await request(app)
+                .post('/posts')
+                .set('Authorization', `ApiKey ${keyResponse.body.apiKey.key}`)
+                .send({ title: 'After reset', body: 'Key should be revoked' })
+                .expect(401);
+
+            await request(app)
+                .post('/auth/login')
+                .send({ email: testUser.email, password: 'newpassword123' })
+                .expect(200);
+        });
+    });
+
+    describe('mail transport', () => {
+        test('should not default to logging mail outside test and development', () => {
+            const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+            setMailTransport(null);
+            delete process.env.MAIL_TRANSPORT;
+            try {
+                process.env.NODE_ENV = 'production';
+                expect(() => getMailTransport()).toThrow('MAIL_TRANSPORT must be set');
+
+                process.env.MAIL_TRANSPORT = 'file';
+                expect(getMailTransport()).toBeInstanceOf(Function);
+            } finally {
+                process.env.NODE_ENV = NODE_ENV;
+                if (MAIL_TRANSPORT === undefined) {
+                    delete process.env.MAIL_TRANSPORT;
+                } else {
+                    process.env.MAIL_TRANSPORT = MAIL_TRANSPORT;
+                }
+                setMailTransport(collectMail);
+            }
+        });
+    });
+});
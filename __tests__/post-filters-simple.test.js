@@ -0,0 +1,147 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { parseListingQuery } from '../post-filters.js';
+
+describe('Post Listing Filters Tests (Simplified)', () => {
+    let testUser = {
+        name: 'Test User Filters',
+        email: `test-filters-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let userId = null;
+    let authToken = '';
+    let editedId = null;
+    let uneditedId = null;
+
+    const createPost = async (title) => {
+        const response = await request(app)
+            .post('/posts')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ title, body: 'Filter body' })
+            .expect(201);
+        return response.body.post.id;
+    };
+
+    const listIds = async (query) => {
+        const response = await request(app)
+            .get(`/posts?author=${userId}&limit=100&${query}`)
+            .expect(200);
+        return response.body.posts.map((p) => p.id);
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            if (userId) {
+                await supabase.from('Posts').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(testUser);
+
+        userId = registerResponse.body.user.id;
+        authToken = jwt.sign(
+            { id: userId, email: testUser.email },
+            process.env.JWT_SECRET,
+            { expiresIn: '1h' }
+        );
+
+        uneditedId = await createPost('Banana post');
+        editedId = await createPost('Apple post');
+
+        await request(app)
+            .put(`/posts/${editedId}`)
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ title: 'Apple post', body: 'Edited filter body' })
+            .expect(200);
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('parseListingQuery', () => {
+        test('should default to the newest posts', () => {
+            const { options } = parseListingQuery({});
+            expect(options.sort).toBe('newest');
+            expect(options.page).toBe(1);
+        });
+
+        test('should keep accepting sort=latest', () => {
+            expect(parseListingQuery({ sort: 'latest' }).options.sort).toBe('newest');
+        });
+
+        test('should explain invalid parameters', () => {
+            expect(parseListingQuery({ colour: 'red' }).error).toMatch(/^unknown query parameter: colour/);
+            expect(parseListingQuery({ sort: 'random' }).error).toMatch(/^sort must be one of/);
+            expect(parseListingQuery({ author: 'me' }).error).toBe('author must be a user id');
+            expect(parseListingQuery({ from: 'yesterday' }).error).toMatch(/^from must be a date/);
+            expect(parseListingQuery({ from: '2024-02-30' }).error).toMatch(/^from must be a date/);
+            expect(parseListingQuery({ to: '2023-02-29T12:00:00Z' }).error).toMatch(/^to must be a date/);
+            expect(parseListingQuery({ from: '2024-02-01', to: '2024-01-01' }).error).toBe('from must be before to');
+            expect(parseListingQuery({ edited: 'yes' }).error).toBe('edited must be true or false');
+        });
+
+        test('should treat a bare to date as the end of that day', () => {
+            const { options } = parseListingQuery({ to: '2024-01-31' });
+            expect(options.to.toISOString()).toBe('2024-01-31T23:59:59.999Z');
+        });
+    });
+
+    describe('GET /posts', () => {
+        test('should return 400 for unknown parameters', async () => {
+            const response = await request(app)
+                .get('/posts?colour=red')
+                .expect(400);
+
+            expect(response.body.message).toMatch(/unknown query parameter: colour/);
+        });
+
+        test('should filter by author', async () => {
+            const ids = await listIds('');
+            expect(ids.sort()).toEqual([editedId, uneditedId].sort());
+        });
+
+        test('should filter by whether the post was edited', async () => {
+            expect(await listIds('edited=true')).toEqual([editedId]);
+            expect(await listIds('edited=false')).toEqual([uneditedId]);
+        });
+
+        test('should filter by publish date', async () => {
+            expect(await listIds('to=2000-01-01')).toEqual([]);
+            expect((await listIds(`from=${new Date(Date.now() - 60000).toISOString()}`)).length).toBe(2);
+        });
+
+        test('should apply the filters to search results', async () => {
+            expect(await listIds('search=filter')).toEqual(expect.arrayContaining([editedId, uneditedId]));
+            expect(await listIds('search=filter&edited=true')).toEqual([editedId]);
+            expect(await listIds('search=filter&to=2000-01-01')).toEqual([]);
+        });
+
+        test('should sort oldest first and by title', async () => {
+            expect(await listIds('sort=oldest')).toEqual([uneditedId, editedId]);
+            expect(await listIds('sort=title')).toEqual([editedId, uneditedId]);
+        });
+
+        test('should sort by most recently updated and most commented', async () => {
+            expect((await listIds('sort=updated'))[0]).toBe(editedId);
+
+            await request(app)
+                .post(`/posts/${uneditedId}/comments`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ body: 'First!' })
+                .expect(201);
+
+            expect((await listIds('sort=comments'))[0]).toBe(uneditedId);
+        });
+    });
+});
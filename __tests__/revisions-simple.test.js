@@ -0,0 +1,164 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { diffLines } from '../diff.js';
+
+describe('Post Revisions Tests (Simplified)', () => {
+    let author = {
+        name: 'Test Revision Author',
+        email: `test-revisions-author-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+    let other = {
+        name: 'Test Revision Other',
+        email: `test-revisions-other-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let authorId = null;
+    let otherId = null;
+    let authorToken = '';
+    let otherToken = '';
+    let postId = null;
+
+    const register = async (user) => {
+        const response = await request(app)
+            .post('/auth/register')
+            .send(user);
+        const id = response.body.user.id;
+        const token = jwt.sign({ id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
+        return { id, token };
+    };
+
+    const edit = (title, body) => request(app)
+        .put(`/posts/${postId}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title, body })
+        .expect(200);
+
+    const cleanupTestData = async () => {
+        try {
+            for (const id of [authorId, otherId].filter(Boolean)) {
+                await supabase.from('Posts').delete().eq('user_id', id);
+                await supabase.from('Users').delete().eq('id', id);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        ({ id: authorId, token: authorToken } = await register(author));
+        ({ id: otherId, token: otherToken } = await register(other));
+
+        const postResponse = await request(app)
+            .post('/posts')
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ title: 'Version 1', body: 'line one\nline two' });
+        postId = postResponse.body.post.id;
+
+        await edit('Version 2', 'line one\nline two changed');
+        await edit('Version 3', 'line one\nline two changed\nline three');
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('diffLines', () => {
+        test('should mark added and removed lines', () => {
+            expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+                { type: 'equal', lines: ['a'] },
+                { type: 'removed', lines: ['b'] },
+                { type: 'added', lines: ['x'] },
+                { type: 'equal', lines: ['c'] }
+            ]);
+        });
+
+        test('should stay fast and small on huge rewrites', () => {
+            const before = Array.from({ length: 50000 }, (_, i) => String(i % 7)).join('\n');
+            const after = Array.from({ length: 50000 }, (_, i) => String(i % 5)).join('\n');
+
+            const hunks = diffLines(`intro\n${before}\noutro`, `intro\n${after}\noutro`);
+            expect(hunks[0]).toEqual({ type: 'equal', lines: ['intro', '0', '1', '2', '3', '4'] });
+            expect(hunks[hunks.length - 1].type).toBe('equal');
+            expect(hunks[hunks.length - 1].lines).toContain('outro');
+        });
+    });
+
+    describe('GET /posts/:id/revisions', () => {
+        test('should list previous versions newest first', async () => {
+            const response = await request(app)
+                .get(`/posts/${postId}/revisions`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(response.body.totalRevisions).toBe(2);
+            expect(response.body.revisions.map((r) => r.title)).toEqual(['Version 2', 'Version 1']);
+            expect(response.body.revisions[0].Users).toHaveProperty('id', authorId);
+        });
+
+        test('should not record a revision when nothing changed', async () => {
+            await edit('Version 3', 'line one\nline two changed\nline three');
+
+            const response = await request(app)
+                .get(`/posts/${postId}/revisions`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(response.body.totalRevisions).toBe(2);
+        });
+
+        test('should hide the history from other users', async () => {
+            await request(app)
+                .get(`/posts/${postId}/revisions`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+        });
+    });
+
+    describe('GET /posts/:id/revisions/diff', () => {
+        test('should diff a revision against the current post', async () => {
+            const response = await request(app)
+                .get(`/posts/${postId}/revisions/diff?from=1`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(response.body.title).toEqual({ before: 'Version 1', after: 'Version 3', changed: true });
+            expect(response.body.body).toContainEqual({ type: 'added', lines: ['line two changed', 'line three'] });
+        });
+
+        test('should return 404 for unknown revisions', async () => {
+            await request(app)
+                .get(`/posts/${postId}/revisions/diff?from=99`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(404);
+        });
+    });
+
+    describe('POST /posts/:id/revisions/:rev/restore', () => {
+        test('should only let the author restore', async () => {
+            await request(app)
+                .post(`/posts/${postId}/revisions/1/restore`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(404);
+        });
+
+        test('should restore old content and keep the replaced version', async () => {
+            const response = await request(app)
+                .post(`/posts/${postId}/revisions/1/restore`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(response.body.updatedPost.title).toBe('Version 1');
+
+            const history = await request(app)
+                .get(`/posts/${postId}/revisions`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(200);
+
+            expect(history.body.revisions[0]).toMatchObject({ revision: 3, title: 'Version 3' });
+        });
+    });
+});
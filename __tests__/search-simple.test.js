@@ -0,0 +1,116 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { highlight, parseSearchQuery, toTsQuery } from '../search.js';
+
+describe('Post Search Tests (Simplified)', () => {
+    const marker = `zq${Date.now()}`;
+    let testUser = {
+        name: `Searchauthor ${marker}`,
+        email: `test-search-${Date.now()}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let userId = null;
+    let authToken = '';
+    let titleMatchId = null;
+    let bodyMatchId = null;
+
+    const createPost = async (title, body) => {
+        const response = await request(app)
+            .post('/posts')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ title, body })
+            .expect(201);
+        return response.body.post.id;
+    };
+
+    const search = (query) => request(app)
+        .get(`/posts?search=${encodeURIComponent(query)}&limit=100`)
+        .expect(200);
+
+    const cleanupTestData = async () => {
+        try {
+            if (userId) {
+                await supabase.from('Posts').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(testUser);
+
+        userId = registerResponse.body.user.id;
+        authToken = jwt.sign(
+            { id: userId, email: testUser.email },
+            process.env.JWT_SECRET,
+            { expiresIn: '1h' }
+        );
+
+        bodyMatchId = await createPost('Unrelated heading', `Some text about ${marker} gardening tips`);
+        titleMatchId = await createPost(`${marker} gardening`, 'A body about soil and <b>seeds</b>');
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('query parsing', () => {
+        test('should recognise phrases, prefixes and words', () => {
+            expect(parseSearchQuery('"Hello World" node* tips')).toEqual([
+                { type: 'phrase', words: ['hello', 'world'] },
+                { type: 'prefix', word: 'node' },
+                { type: 'word', word: 'tips' }
+            ]);
+        });
+
+        test('should build a safe tsquery', () => {
+            const terms = parseSearchQuery('"a b" c* d\'); drop table');
+            expect(toTsQuery(terms)).toBe('(a <-> b) & c:* & d & drop & table');
+        });
+
+        test('should highlight matches and escape html', () => {
+            const terms = parseSearchQuery('seeds');
+            expect(highlight('Plant <b>seeds</b> now', terms)).toBe('Plant <mark>&lt;b&gt;seeds&lt;/b&gt;</mark> now');
+        });
+    });
+
+    describe('GET /posts?search=', () => {
+        test('should search the body and rank title matches first', async () => {
+            const response = await search(marker);
+            const ids = response.body.posts.map((p) => p.id);
+
+            expect(ids).toEqual([titleMatchId, bodyMatchId]);
+            expect(response.body.totalPosts).toBe(2);
+            expect(response.body.posts[1].search.snippet).toContain(`<mark>${marker}</mark>`);
+            expect(response.body.posts[0]).not.toHaveProperty('search_vector');
+        });
+
+        test('should match phrases exactly', async () => {
+            const response = await search(`"${marker} gardening"`);
+            const ids = response.body.posts.map((p) => p.id);
+
+            expect(ids).toContain(bodyMatchId);
+            expect(ids).toContain(titleMatchId);
+
+            const reversed = await search(`"gardening ${marker}"`);
+            expect(reversed.body.posts).toHaveLength(0);
+        });
+
+        test('should support prefix queries', async () => {
+            const response = await search(`${marker.slice(0, -3)}*`);
+            expect(response.body.posts.map((p) => p.id)).toEqual(expect.arrayContaining([titleMatchId, bodyMatchId]));
+        });
+
+        test('should match the author name', async () => {
+            const response = await search(`searchauthor ${marker}`);
+            expect(response.body.totalPosts).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+import request from 'supertest';
+import app from '../test-server.js';
+import { supabase } from '../db.js';
+import jwt from 'jsonwebtoken';
+import { normalizeTag, parseTags } from '../tags.js';
+
+describe('Tags API Tests (Simplified)', () => {
+    const suffix = Date.now();
+    let testUser = {
+        name: 'Test User Tags',
+        email: `test-tags-${suffix}@example.com`,
+        password: 'testpassword123'
+    };
+
+    let userId = null;
+    let authToken = '';
+    const tagA = `alpha-${suffix}`;
+    const tagB = `beta-${suffix}`;
+    const draftTag = `draft-only-${suffix}`;
+    let bothId = null;
+    let onlyAId = null;
+
+    const createPost = async (title, tags) => {
+        const response = await request(app)
+            .post('/posts')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ title, body: 'Tagged body', tags })
+            .expect(201);
+        return response.body.post;
+    };
+
+    const listIds = async (query) => {
+        const response = await request(app)
+            .get(`/posts?limit=100&${query}`)
+            .expect(200);
+        return response.body.posts.map((p) => p.id);
+    };
+
+    const cleanupTestData = async () => {
+        try {
+            if (userId) {
+                await supabase.from('Posts').delete().eq('user_id', userId);
+                await supabase.from('Users').delete().eq('id', userId);
+            }
+            await supabase.from('Tags').delete().in('slug', [tagA, tagB, draftTag]);
+        } catch (error) {
+            console.log('Cleanup error:', error.message);
+        }
+    };
+
+    beforeAll(async () => {
+        const registerResponse = await request(app)
+            .post('/auth/register')
+            .send(testUser);
+
+        userId = registerResponse.body.user.id;
+        authToken = jwt.sign(
+            { id: userId, email: testUser.email },
+            process.env.JWT_SECRET,
+            { expiresIn: '1h' }
+        );
+
+        bothId = (await createPost('Both tags', [tagA, tagB])).id;
+        onlyAId = (await createPost('One tag', `${tagA.toUpperCase()}`)).id;
+    });
+
+    afterAll(async () => {
+        await cleanupTestData();
+    });
+
+    describe('tag parsing', () => {
+        test('should normalize names to slugs', () => {
+            expect(normalizeTag('  Node.js Tips ')).toBe('node-js-tips');
+            expect(normalizeTag('Café')).toBe('cafe');
+        });
+
+        test('should drop duplicate slugs and reject bad input', () => {
+            expect(parseTags(['React', 'react ', '']).tags).toEqual([{ slug: 'react', name: 'React' }]);
+            expect(parseTags([1, 2])).toHaveProperty('error');
+            expect(parseTags(Array.from({ length: 11 }, (_, i) => `tag${i}`))).toHaveProperty('error');
+        });
+    });
+
+    describe('POST /posts', () => {
+        test('should return the post with its tags', async () => {
+            const post = await createPost('Tag response', [`${tagB} `]);
+            expect(post.Tags).toEqual([{ slug: tagB, name: tagB }]);
+        });
+
+        test('should reject invalid tags', async () => {
+            await request(app)
+                .post('/posts')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ title: 'Bad tags', body: 'Body', tags: { a: 1 } })
+                .expect(400);
+        });
+    });
+
+    describe('GET /posts?tag=', () => {
+        test('should match any of the tags by default', async () => {
+            const ids = await listIds(`tag=${tagA},${tagB}`);
+            expect(ids).toEqual(expect.arrayContaining([bothId, onlyAId]));
+        });
+
+        test('should match every tag with tagMatch=all', async () => {
+            const ids = await listIds(`tag=${tagA}&tag=${tagB}&tagMatch=all`);
+            expect(ids).toContain(bothId);
+            expect(ids).not.toContain(onlyAId);
+        });
+
+        test('should return nothing for unknown tags', async () => {
+            expect(await listIds(`tag=missing-${suffix}`)).toEqual([]);
+        });
+
+        test('should combine tags with a search', async () => {
+            const ids = await listIds(`search=tagged&tag=${tagA}&tag=${tagB}&tagMatch=all`);
+            expect(ids).toContain(bothId);
+            expect(ids).not.toContain(onlyAId);
+        });
+    });
+
+    describe('PUT /posts/:id', () => {
+        test('should replace the tags when they are sent', async () => {
+            const response = await request(app)
+                .put(`/posts/${onlyAId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ title: 'One tag', body: 'Tagged body', tags: [tagB] })
+                .expect(200);
+
+            expect(response.body.updatedPost.Tags.map((t) => t.slug)).toEqual([tagB]);
+            expect(await listIds(`tag=${tagA}`)).not.toContain(onlyAId);
+        });
+    });
+
+    describe('GET /tags', () => {
+        test('should list tags with usage counts', async () => {
+            const response = await request(app)
+                .get('/tags?limit=200')
+                .expect(200);
+
+            const tag = response.body.tags.find((t) => t.slug === tagB);
+            expect(tag.post_count).toBe(3);
+        });
+
+        test('should not list tags that are only on drafts', async () => {
+            await request(app)
+                .post('/posts')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ title: 'Draft with tag', body: 'Not public', tags: [draftTag], status: 'draft' })
+                .expect(201);
+
+            const response = await request(app)
+                .get('/tags?limit=200')
+                .expect(200);
+
+            expect(response.body.tags.find((t) => t.slug === draftTag)).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateSession, revokeAllSessions } from "./auth.js";
+import { ROLES, requirePermission } from "./permissions.js";
+import { attachmentFilesForPosts, removeAttachmentFiles } from "./attachments.js";
+import { removeUserComments } from "./comment-routes.js";
+
+const router = express.Router();
+
+router.use("/admin", authenticateSession, requirePermission("users:manage"));
+
+router.get("/admin/users", async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 20;
+    const search = req.query.search || "";
+    if (page < 1) {
+      page = 1;
+    }
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("Users")
+      .select("id, name, email, role, verified_at, created_at", { count: "exact" })
+      .order("created_at", { ascending: false });
+
+    if (search) {
+      // Commas and parentheses would break out of the or() filter
+      const term = search.replace(/[,()]/g, " ");
+      query = query.or(`name.ilike.%${term}%,email.ilike.%${term}%`);
+    }
+    if (req.query.role) {
+      query = query.eq("role", req.query.role);
+    }
+
+    const { data: users, count, error } = await query.range(start, end);
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching users", error });
+    }
+    res.json({
+      users,
+      totalUsers: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.patch("/admin/users/:id/role", async (req, res) => {
+  const role = req.body?.role;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+  }
+
+  // Keeps an admin from locking themselves out
+  if (String(req.params.id) === String(req.user.id)) {
+    return res.status(400).json({ message: "You cannot change your own role" });
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from("Users")
+      .update({ role })
+      .eq("id", req.params.id)
+      .select("id, name, email, role")
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ message: "error updating role", error });
+    }
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+
+    // Access tokens carry the role, so make the user sign in again
+    await revokeAllSessions(user.id);
+
+    res.status(200).json({ message: "role updated", user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/admin/users/:id", async (req, res) => {
+  if (String(req.params.id) === String(req.user.id)) {
+    return res.status(400).json({ message: "You cannot delete your own account here" });
+  }
+
+  try {
+    const { data: posts } = await supabase
+      .from("Posts")
+      .select("id")
+      .eq("user_id", req.params.id);
+    const attachments = await attachmentFilesForPosts((posts || []).map((post) => post.id));
+
+    // Posts are removed explicitly since their user_id foreign key may not cascade
+    const { error: postsError } = await supabase
+      .from("Posts")
+      .delete()
+      .eq("user_id", req.params.id);
+
+    if (postsError) {
+      return res.status(500).json({ message: "error deleting user's posts", error: postsError });
+    }
+    await removeAttachmentFiles(attachments);
+
+    // Other people's replies to this user's comments stay in their threads
+    await removeUserComments(req.params.id);
+
+    const { data: user, error } = await supabase
+      .from("Users")
+      .delete()
+      .eq("id", req.params.id)
+      .select("id, name, email")
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ message: "error deleting user", error });
+    }
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+
+    res.status(200).json({ message: "user deleted", user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from "express";
+import crypto from "crypto";
+import { supabase } from "./db.js";
+import { authenticateSession, hashToken, revokeAllApiKeys } from "./auth.js";
+import { API_KEY_SCOPES } from "./permissions.js";
+
+const router = express.Router();
+
+const KEY_PREFIX = "bk_";
+
+router.post("/auth/api-keys", authenticateSession, async (req, res) => {
+  const { name, scopes = [] } = req.body || {};
+
+  if (!name) {
+    return res.status(400).json({ message: "name is required" });
+  }
+  if (!Array.isArray(scopes) || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    return res
+      .status(400)
+      .json({ message: `scopes must be a list of: ${API_KEY_SCOPES.join(", ")}` });
+  }
+
+  try {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+    const { data: apiKey, error } = await supabase
+      .from("ApiKeys")
+      .insert([
+        {
+          user_id: req.user.id,
+          name,
+          scopes,
+          // Enough of the key to recognise it in a list
+          prefix: key.slice(0, KEY_PREFIX.length + 6),
+          key_hash: hashToken(key),
+        },
+      ])
+      .select("id, name, prefix, scopes, created_at, last_used_at")
+      .single();
+
+    if (error) {
+      return res.status(500).json({ message: "error creating API key", error });
+    }
+
+    // The full key is only ever shown here
+    res.status(201).json({ message: "API key created", apiKey: { ...apiKey, key } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.get("/auth/api-keys", authenticateSession, async (req, res) => {
+  try {
+    const { data: apiKeys, error } = await supabase
+      .from("ApiKeys")
+      .select("id, name, prefix, scopes, created_at, last_used_at")
+      .eq("user_id", req.user.id)
+      .is("revoked_at", null)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching API keys", error });
+    }
+    res.json({ apiKeys });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/auth/api-keys", authenticateSession, async (req, res) => {
+  try {
+    await revokeAllApiKeys(req.user.id);
+    res.status(200).json({ message: "all API keys revoked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/auth/api-keys/:id", authenticateSession, async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabase
+      .from("ApiKeys")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .is("revoked_at", null)
+      .select("id")
+      .maybeSingle();
+
+    if (error || !revoked) {
+      return res.status(404).json({ message: "API key not found" });
+    }
+    res.status(200).json({ message: "API key revoked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import express from "express";
+import multer from "multer";
+import { supabase } from "./db.js";
+import { authenticateToken } from "./auth.js";
+import { hasPermission, requireScope } from "./permissions.js";
+import {
+  IMAGE_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_POST,
+  presentAttachment,
+  processImage,
+  removeAttachmentFiles,
+  sniffImageType,
+} from "./attachments.js";
+import { currentStorageDriverName, getStorageDriver, uploadDir } from "./storage.js";
+
+const router = express.Router();
+
+// Files stored by the local driver
+router.use("/uploads", express.static(uploadDir(), { index: false }));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 },
+});
+
+// Turns multer's errors into the usual { message } responses
+function singleFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res
+        .status(413)
+        .json({ message: `file is too large, the limit is ${MAX_ATTACHMENT_BYTES} bytes` });
+    }
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ message: "upload a single image in the file field" });
+    }
+    next(err);
+  });
+}
+
+async function findEditablePost(postId, user) {
+  const { data: post } = await supabase
+    .from("Posts")
+    .select("id, user_id")
+    .eq("id", postId)
+    .maybeSingle();
+
+  if (!post || (post.user_id !== user.id && !hasPermission(user, "posts:moderate"))) {
+    return null;
+  }
+  return post;
+}
+
+router.post("/posts/:id/attachments", authenticateToken, requireScope("posts:write"), singleFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: "upload a single image in the file field" });
+  }
+
+  // The type the client claims is ignored; only the file's bytes decide
+  const contentType = sniffImageType(req.file.buffer);
+  if (!contentType) {
+    return res
+      .status(415)
+      .json({ message: `only ${Object.keys(IMAGE_TYPES).join(", ")} images are supported` });
+  }
+
+  try {
+    const post = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res
+        .status(400)
+        .json({ message: "Not authorized to update this post or post not found" });
+    }
+
+    const { count } = await supabase
+      .from("Attachments")
+      .select("id", { count: "exact", head: true })
+      .eq("post_id", post.id);
+
+    if (count >= MAX_ATTACHMENTS_PER_POST) {
+      return res
+        .status(400)
+        .json({ message: `a post can have at most ${MAX_ATTACHMENTS_PER_POST} attachments` });
+    }
+
+    let processed;
+    try {
+      processed = await processImage(req.file.buffer, contentType);
+    } catch {
+      return res.status(415).json({ message: "the file is not a valid image" });
+    }
+
+    const driverName = currentStorageDriverName();
+    const driver = getStorageDriver(driverName);
+    const name = `posts/${post.id}/${crypto.randomUUID()}`;
+    const storageKey = `${name}.${IMAGE_TYPES[contentType].ext}`;
+    const thumbnailKey = `${name}-thumb.webp`;
+
+    await driver.put(storageKey, processed.image.buffer, contentType);
+    await driver.put(thumbnailKey, processed.thumbnail.buffer, processed.thumbnail.contentType);
+
+    const { data: attachment, error } = await supabase
+      .from("Attachments")
+      .insert([
+        {
+          post_id: post.id,
+          user_id: req.user.id,
+          storage_driver: driverName,
+          storage_key: storageKey,
+          thumbnail_key: thumbnailKey,
+          content_type: contentType,
+          size: processed.image.buffer.length,
+          width: processed.image.width,
+          height: processed.image.height,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      await removeAttachmentFiles([{ storage_driver: driverName, storage_key: storageKey, thumbnail_key: thumbnailKey }]);
+      return res.status(500).json({ message: "error saving attachment", error });
+    }
+
+    res.status(201).json({ message: "attachment uploaded", attachment: presentAttachment(attachment) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/posts/:id/attachments/:attachmentId", authenticateToken, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res
+        .status(400)
+        .json({ message: "Not authorized to update this post or post not found" });
+    }
+
+    const { data: attachment, error } = await supabase
+      .from("Attachments")
+      .delete()
+      .eq("id", req.params.attachmentId)
+      .eq("post_id", post.id)
+      .select()
+      .maybeSingle();
+
+    if (error || !attachment) {
+      return res.status(404).json({ message: "attachment not found" });
+    }
+
+    await removeAttachmentFiles([attachment]);
+    res.status(200).json({ message: "attachment deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
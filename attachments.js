@@ -0,0 +1,121 @@
+import sharp from "sharp";
+import { supabase } from "./db.js";
+import { getStorageDriver } from "./storage.js";
+
+export const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+export const MAX_ATTACHMENTS_PER_POST = parseInt(process.env.ATTACHMENT_MAX_PER_POST) || 10;
+const THUMBNAIL_SIZE = 320;
+
+export const IMAGE_TYPES = {
+  "image/jpeg": { ext: "jpg", format: "jpeg" },
+  "image/png": { ext: "png", format: "png" },
+  "image/gif": { ext: "gif", format: "gif" },
+  "image/webp": { ext: "webp", format: "webp" },
+};
+
+// Content type from the file's first bytes. The client's claimed type and
+// file name are not trusted.
+export function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  const head = buffer.subarray(0, 12).toString("latin1");
+  if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) {
+    return "image/gif";
+  }
+  if (head.startsWith("RIFF") && head.slice(8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+// Re-encodes the upload, which drops EXIF and other metadata (after applying
+// the EXIF orientation), and makes a thumbnail. Throws if the bytes aren't
+// really a decodable image.
+export async function processImage(buffer, contentType) {
+  const { format } = IMAGE_TYPES[contentType];
+  const animated = contentType === "image/gif" || contentType === "image/webp";
+
+  const { data, info } = await sharp(buffer, { animated })
+    .rotate()
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+  return {
+    image: { buffer: data, width: info.width, height: info.pageHeight || info.height },
+    thumbnail: { buffer: thumbnail, contentType: "image/webp" },
+  };
+}
+
+// Public shape of an attachment row, with links from the driver that stored it
+export function presentAttachment(attachment) {
+  const driver = getStorageDriver(attachment.storage_driver);
+  return {
+    id: attachment.id,
+    url: driver.url(attachment.storage_key),
+    thumbnail_url: driver.url(attachment.thumbnail_key),
+    content_type: attachment.content_type,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    created_at: attachment.created_at,
+  };
+}
+
+export function withAttachments(post) {
+  if (!post || !Array.isArray(post.Attachments)) {
+    return post;
+  }
+  const { Attachments, ...rest } = post;
+  return {
+    ...rest,
+    attachments: Attachments
+      .slice()
+      .sort((a, b) => a.id - b.id)
+      .map(presentAttachment),
+  };
+}
+
+// Best effort: a file left behind is better than failing the request
+export async function removeAttachmentFiles(attachments) {
+  const byDriver = new Map();
+  for (const attachment of attachments) {
+    const keys = byDriver.get(attachment.storage_driver) || [];
+    keys.push(attachment.storage_key, attachment.thumbnail_key);
+    byDriver.set(attachment.storage_driver, keys);
+  }
+
+  for (const [name, keys] of byDriver) {
+    try {
+      await getStorageDriver(name).remove(keys);
+    } catch (err) {
+      console.error("Error removing attachment files:", err.message);
+    }
+  }
+}
+
+// Looked up before deleting posts, since the rows go with them
+export async function attachmentFilesForPosts(postIds) {
+  if (postIds.length === 0) {
+    return [];
+  }
+
+  const { data, error } = await supabase
+    .from("Attachments")
+    .select("storage_driver, storage_key, thumbnail_key")
+    .in("post_id", postIds);
+
+  if (error) {
+    throw new Error(`error fetching attachments: ${error.message}`);
+  }
+  return data;
+}
@@ -0,0 +1,504 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { supabase } from "./db.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Access tokens are short-lived; the refresh token cookie keeps the session alive
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Two tabs refreshing at once both present the same token; the slower one
+// gets the successor the faster one was issued instead of tripping reuse
+// detection
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS) || 10;
+
+export function refreshCookieName() {
+  return process.env.REFRESH_COOKIE_NAME || `${process.env.COOKIE_NAME}_refresh`;
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function cookieOptions(maxAge, path = "/") {
+  const isProduction = process.env.NODE_ENV === "production";
+
+  // Enhanced cookie settings for better cross-origin support
+  const options = { maxAge, httpOnly: true, path };
+
+  if (isProduction) {
+    options.sameSite = "none";
+    options.secure = true;
+    // Don't set domain in production to allow cross-origin cookies
+  } else {
+    options.sameSite = "lax";
+    options.secure = false;
+  }
+
+  return options;
+}
+
+// Sessions are touched at most once a minute to keep writes down
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Resolves an "Authorization: ApiKey <key>" credential to the key's owner
+async function resolveApiKey(key) {
+  const { data: apiKey, error } = await supabase
+    .from("ApiKeys")
+    .select("id, user_id, scopes, last_used_at, revoked_at, Users (id, email, role)")
+    .eq("key_hash", hashToken(key))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!apiKey || apiKey.revoked_at || !apiKey.Users) {
+    return { status: 401, message: "Invalid API key" };
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+    await supabase
+      .from("ApiKeys")
+      .update({ last_used_at: new Date().toISOString() })
+      .eq("id", apiKey.id);
+  }
+
+  return {
+    user: {
+      id: apiKey.Users.id,
+      email: apiKey.Users.email,
+      role: apiKey.Users.role,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes || [],
+    },
+  };
+}
+
+// Works out who is calling from the API key, bearer token or cookie.
+// Returns { user }, { status, message } when the credentials are rejected,
+// or {} when none were sent.
+export async function resolveUser(req) {
+  const authHeader = req.headers["authorization"] || "";
+  const [scheme, credentials] = authHeader.split(" ");
+
+  if (scheme === "ApiKey") {
+    if (!credentials) {
+      return { status: 401, message: "Invalid API key" };
+    }
+    try {
+      return await resolveApiKey(credentials);
+    } catch (err) {
+      console.error("API key lookup error:", err);
+      return { status: 500, message: "Internal server error" };
+    }
+  }
+
+  const headerToken = authHeader && credentials;
+  const cookieToken = req.cookies && req.cookies[process.env.COOKIE_NAME];
+  const token = headerToken || cookieToken;
+
+  if (!token) {
+    return {};
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error("Token verification error:", err.message);
+    return { status: 401, message: "Invalid token" };
+  }
+
+  // Tokens signed before session tracking carry no sid and run until expiry
+  if (decoded.sid) {
+    try {
+      const { data: session, error } = await supabase
+        .from("Sessions")
+        .select("id, revoked_at, last_seen_at")
+        .eq("id", decoded.sid)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!session || session.revoked_at) {
+        return { status: 401, message: "Session has been revoked" };
+      }
+
+      if (Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+        await supabase
+          .from("Sessions")
+          .update({ last_seen_at: new Date().toISOString() })
+          .eq("id", session.id);
+      }
+    } catch (err) {
+      console.error("Session lookup error:", err);
+      return { status: 500, message: "Internal server error" };
+    }
+  }
+
+  return { user: decoded };
+}
+
+export async function authenticateToken(req, res, next) {
+  const { user, status, message } = await resolveUser(req);
+
+  if (status) {
+    return res.status(status).json({ message });
+  }
+
+  if (!user) {
+    console.log("No token found in request");
+    return res.status(401).json({ message: "Invalid or no token found" });
+  }
+
+  req.user = user;
+  next();
+}
+
+// For public routes that show extra detail to signed-in viewers. Missing or
+// stale credentials leave the request anonymous instead of failing it.
+export async function optionalAuthentication(req, res, next) {
+  const { user, status, message } = await resolveUser(req);
+
+  if (status === 500) {
+    return res.status(status).json({ message });
+  }
+
+  if (user) {
+    req.user = user;
+  }
+  next();
+}
+
+// Account and security settings can't be changed with an API key
+export function requireSession(req, res, next) {
+  if (req.user && req.user.apiKeyId) {
+    return res.status(403).json({ message: "This action requires signing in" });
+  }
+  next();
+}
+
+// Route middleware list for endpoints that need a signed-in browser session
+export const authenticateSession = [authenticateToken, requireSession];
+
+async function createSession(userId, req, expiresAt) {
+  const { data: session, error } = await supabase
+    .from("Sessions")
+    .insert([
+      {
+        id: crypto.randomUUID(),
+        user_id: userId,
+        user_agent: req?.headers["user-agent"] || null,
+        ip: req?.ip || null,
+        expires_at: expiresAt.toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`error creating session: ${error.message}`);
+  }
+
+  return session;
+}
+
+async function issueRefreshToken(userId, sessionId, expiresAt) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+  const { data: stored, error } = await supabase
+    .from("RefreshTokens")
+    .insert([
+      {
+        user_id: userId,
+        family_id: sessionId,
+        token_hash: hashToken(refreshToken),
+        expires_at: expiresAt.toISOString(),
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`error storing refresh token: ${error.message}`);
+  }
+
+  return { refreshToken, stored };
+}
+
+// Signs a fresh access token and starts a new session, or continues an
+// existing one when sessionId is given, setting both cookies on the response.
+// The session id doubles as the refresh token family id.
+export async function generateTokenAndSetCookie(user, res, { sessionId } = {}) {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  let sid = sessionId;
+  if (sid) {
+    await supabase
+      .from("Sessions")
+      .update({ expires_at: expiresAt.toISOString(), last_seen_at: new Date().toISOString() })
+      .eq("id", sid);
+  } else {
+    sid = (await createSession(user.id, res.req, expiresAt)).id;
+  }
+
+  const token = signAccessToken(user, sid);
+  const { refreshToken, stored } = await issueRefreshToken(user.id, sid, expiresAt);
+  setAuthCookies(res, token, refreshToken);
+
+  return { token, refreshToken, refreshTokenId: stored.id, sessionId: sid };
+}
+
+function signAccessToken(user, sid) {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role || "user", sid },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+function setAuthCookies(res, token, refreshToken) {
+  res.cookie(process.env.COOKIE_NAME, token, cookieOptions(ACCESS_TOKEN_TTL_MINUTES * 60 * 1000));
+  res.cookie(
+    refreshCookieName(),
+    refreshToken,
+    cookieOptions(REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000, "/auth")
+  );
+}
+
+export function clearAuthCookies(res) {
+  const { maxAge, ...accessOptions } = cookieOptions(0);
+  const { maxAge: _, ...refreshOptions } = cookieOptions(0, "/auth");
+  res.clearCookie(process.env.COOKIE_NAME, accessOptions);
+  res.clearCookie(refreshCookieName(), refreshOptions);
+}
+
+// Revokes a session together with every refresh token in its family
+export async function revokeSession(sessionId) {
+  const revokedAt = new Date().toISOString();
+
+  const { error: sessionError } = await supabase
+    .from("Sessions")
+    .update({ revoked_at: revokedAt })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+
+  const { error: tokenError } = await supabase
+    .from("RefreshTokens")
+    .update({ revoked_at: revokedAt })
+    .eq("family_id", sessionId)
+    .is("revoked_at", null);
+
+  if (sessionError || tokenError) {
+    throw new Error(`error revoking session: ${(sessionError || tokenError).message}`);
+  }
+}
+
+export async function revokeAllSessions(userId) {
+  const revokedAt = new Date().toISOString();
+
+  const { error: sessionError } = await supabase
+    .from("Sessions")
+    .update({ revoked_at: revokedAt })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  const { error: tokenError } = await supabase
+    .from("RefreshTokens")
+    .update({ revoked_at: revokedAt })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (sessionError || tokenError) {
+    throw new Error(`error revoking sessions: ${(sessionError || tokenError).message}`);
+  }
+}
+
+// API keys outlive sessions, so anything that should lock out whoever else
+// might hold the account (a password reset, logging out everywhere) revokes
+// them too
+export async function revokeAllApiKeys(userId) {
+  const { error } = await supabase
+    .from("ApiKeys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (error) {
+    throw new Error(`error revoking API keys: ${error.message}`);
+  }
+}
+
+export async function findRefreshToken(refreshToken) {
+  const { data: stored, error } = await supabase
+    .from("RefreshTokens")
+    .select("*")
+    .eq("token_hash", hashToken(refreshToken))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`error looking up refresh token: ${error.message}`);
+  }
+
+  return stored;
+}
+
+// Logging out ends the session the presented token belongs to
+export async function revokeRefreshToken(refreshToken) {
+  const stored = await findRefreshToken(refreshToken);
+  if (stored) {
+    await revokeSession(stored.family_id);
+  }
+}
+
+// The successor is stored encrypted with a key derived from the token it
+// replaced, so only a client holding that token can read it back
+function successorKey(refreshToken) {
+  return crypto.createHash("sha256").update(`successor:${refreshToken}`).digest();
+}
+
+function sealSuccessor(refreshToken, successor) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", successorKey(refreshToken), iv);
+  const sealed = Buffer.concat([cipher.update(successor, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map((part) => part.toString("base64url")).join(".");
+}
+
+function openSuccessor(refreshToken, secret) {
+  try {
+    const [iv, tag, sealed] = secret.split(".").map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", successorKey(refreshToken), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(sealed), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+// The successor of a token rotated within the grace window, if it is still
+// the live token of its session
+async function recentSuccessor(stored, refreshToken) {
+  if (!stored.replaced_by || !stored.successor_secret) {
+    return null;
+  }
+  if (Date.now() - new Date(stored.revoked_at).getTime() > REFRESH_REUSE_GRACE_SECONDS * 1000) {
+    return null;
+  }
+
+  const successor = openSuccessor(refreshToken, stored.successor_secret);
+  const { data: next } = await supabase
+    .from("RefreshTokens")
+    .select("id, token_hash, revoked_at")
+    .eq("id", stored.replaced_by)
+    .maybeSingle();
+
+  if (!successor || !next || next.revoked_at || next.token_hash !== hashToken(successor)) {
+    return null;
+  }
+  return successor;
+}
+
+// A request that lost the race to consume a token waits briefly for the
+// winner to record the successor
+async function awaitSuccessor(refreshToken) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const stored = await findRefreshToken(refreshToken);
+    if (stored?.successor_secret) {
+      return recentSuccessor(stored, refreshToken);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+async function reissueAccessToken(stored, successor, res) {
+  const { data: user, error } = await supabase
+    .from("Users")
+    .select("id, name, email, role")
+    .eq("id", stored.user_id)
+    .single();
+
+  if (error || !user) {
+    return { error: "User not found" };
+  }
+
+  const token = signAccessToken(user, stored.family_id);
+  setAuthCookies(res, token, successor);
+  return { user, token };
+}
+
+async function reuseDetected(stored) {
+  console.warn("Refresh token reuse detected, revoking session:", stored.family_id);
+  await revokeSession(stored.family_id);
+  return { error: "Refresh token reuse detected" };
+}
+
+// Exchanges a refresh token for a new access/refresh pair in the same family.
+// Presenting a token that was already rotated means it leaked, so the whole
+// family is revoked and the caller has to log in again - unless it was
+// rotated within the last few seconds, when the caller gets the same
+// successor.
+export async function rotateRefreshToken(refreshToken, res) {
+  const stored = await findRefreshToken(refreshToken);
+
+  if (!stored) {
+    return { error: "Invalid refresh token" };
+  }
+
+  // Tokens revoked by logout or session revocation were never replaced
+  if (stored.revoked_at && !stored.replaced_by) {
+    return { error: "Session has been revoked" };
+  }
+
+  if (stored.revoked_at) {
+    const successor = await recentSuccessor(stored, refreshToken);
+    return successor ? reissueAccessToken(stored, successor, res) : reuseDetected(stored);
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) {
+    return { error: "Refresh token expired" };
+  }
+
+  // Only one concurrent request may consume the token
+  const { data: consumed, error: consumeError } = await supabase
+    .from("RefreshTokens")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", stored.id)
+    .is("revoked_at", null)
+    .select();
+
+  if (consumeError) {
+    throw new Error(`error rotating refresh token: ${consumeError.message}`);
+  }
+
+  if (!consumed || consumed.length === 0) {
+    const successor = await awaitSuccessor(refreshToken);
+    return successor ? reissueAccessToken(stored, successor, res) : reuseDetected(stored);
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from("Users")
+    .select("id, name, email, role")
+    .eq("id", stored.user_id)
+    .single();
+
+  if (userError || !user) {
+    return { error: "User not found" };
+  }
+
+  const issued = await generateTokenAndSetCookie(user, res, { sessionId: stored.family_id });
+
+  await supabase
+    .from("RefreshTokens")
+    .update({
+      replaced_by: issued.refreshTokenId,
+      successor_secret: sealSuccessor(refreshToken, issued.refreshToken),
+    })
+    .eq("id", stored.id);
+
+  return { user, token: issued.token };
+}
@@ -0,0 +1,308 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateToken, optionalAuthentication } from "./auth.js";
+import { hasPermission, requireScope } from "./permissions.js";
+import { canViewPost } from "./post-status.js";
+import { notify } from "./notifications.js";
+
+const router = express.Router();
+
+// Top-level comments are depth 0; replies deeper than this are refused
+const MAX_COMMENT_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+const COMMENT_FIELDS = `
+  id,
+  post_id,
+  parent_id,
+  depth,
+  body,
+  created_at,
+  updated_at,
+  deleted_at,
+  Users (
+    id,
+    name,
+    handle,
+    avatar_url
+  )
+`;
+
+// Deleted comments that still have replies stay in the tree as placeholders
+function presentComment(comment) {
+  if (comment.deleted_at) {
+    return { ...comment, body: null, Users: null, deleted: true, replies: [] };
+  }
+  return { ...comment, deleted: false, replies: [] };
+}
+
+function buildThreads(roots, replies) {
+  const byId = new Map();
+  const threads = roots.map((comment) => {
+    const node = presentComment(comment);
+    byId.set(node.id, node);
+    return node;
+  });
+
+  // Replies arrive oldest first, so parents are always placed before children
+  for (const reply of replies) {
+    const node = presentComment(reply);
+    byId.set(node.id, node);
+    const parent = byId.get(reply.parent_id);
+    if (parent) {
+      parent.replies.push(node);
+    }
+  }
+
+  return threads;
+}
+
+// Drafts and scheduled posts have no comments section for anyone else
+async function findPost(postId, user) {
+  const { data: post } = await supabase
+    .from("Posts")
+    .select("id, user_id, status, publish_at")
+    .eq("id", postId)
+    .maybeSingle();
+  return post && canViewPost(post, user) ? post : null;
+}
+
+async function findComment(postId, commentId) {
+  const { data: comment } = await supabase
+    .from("Comments")
+    .select("*")
+    .eq("id", commentId)
+    .eq("post_id", postId)
+    .maybeSingle();
+  return comment;
+}
+
+// Before an account is deleted: comments with replies become placeholders,
+// like a deleted comment would, and the rest are removed
+export async function removeUserComments(userId) {
+  const { error: blankError } = await supabase
+    .from("Comments")
+    .update({ body: null, deleted_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("deleted_at", null);
+
+  if (blankError) {
+    throw new Error(`error removing comments: ${blankError.message}`);
+  }
+
+  const { data: comments, error } = await supabase
+    .from("Comments")
+    .select("id")
+    .eq("user_id", userId);
+
+  if (error) {
+    throw new Error(`error removing comments: ${error.message}`);
+  }
+
+  // Leaves first, so a comment whose only replies were the user's own goes too
+  let remaining = comments.map((comment) => comment.id);
+  while (remaining.length > 0) {
+    const { data: replies, error: replyError } = await supabase
+      .from("Comments")
+      .select("parent_id")
+      .in("parent_id", remaining);
+
+    if (replyError) {
+      throw new Error(`error removing comments: ${replyError.message}`);
+    }
+
+    const withReplies = new Set(replies.map((reply) => reply.parent_id));
+    const leaves = remaining.filter((id) => !withReplies.has(id));
+    if (leaves.length === 0) {
+      return;
+    }
+
+    const { error: deleteError } = await supabase.from("Comments").delete().in("id", leaves);
+    if (deleteError) {
+      throw new Error(`error removing comments: ${deleteError.message}`);
+    }
+    remaining = remaining.filter((id) => withReplies.has(id));
+  }
+}
+
+router.get("/posts/:id/comments", optionalAuthentication, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 20;
+    if (page < 1) {
+      page = 1;
+    }
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    const post = await findPost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    // Pages are made of top-level comments, each with its whole reply tree
+    const { data: roots, count, error } = await supabase
+      .from("Comments")
+      .select(COMMENT_FIELDS, { count: "exact" })
+      .eq("post_id", post.id)
+      .is("parent_id", null)
+      .order("created_at", { ascending: true })
+      .range(start, end);
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching comments", error });
+    }
+
+    let replies = [];
+    if (roots.length > 0) {
+      const { data: replyRows, error: replyError } = await supabase
+        .from("Comments")
+        .select(COMMENT_FIELDS)
+        .in("root_id", roots.map((comment) => comment.id))
+        .order("created_at", { ascending: true });
+
+      if (replyError) {
+        return res.status(500).json({ message: "error fetching comments", error: replyError });
+      }
+      replies = replyRows;
+    }
+
+    res.json({
+      comments: buildThreads(roots, replies),
+      totalComments: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "comments fetch failed on server" });
+  }
+});
+
+router.post("/posts/:id/comments", authenticateToken, requireScope("comments:write"), async (req, res) => {
+  const { body, parentId } = req.body || {};
+  if (!body) {
+    return res.status(400).json({ message: "body is required" });
+  }
+
+  try {
+    const post = await findPost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    let depth = 0;
+    let rootId = null;
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(post.id, parentId);
+      if (!parent || parent.deleted_at) {
+        return res.status(404).json({ message: "parent comment not found" });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ message: "replies cannot be nested any deeper" });
+      }
+      depth = parent.depth + 1;
+      rootId = parent.root_id || parent.id;
+    }
+
+    const { data: comment, error } = await supabase
+      .from("Comments")
+      .insert([
+        {
+          post_id: post.id,
+          user_id: req.user.id,
+          parent_id: parentId || null,
+          root_id: rootId,
+          depth,
+          body,
+        },
+      ])
+      .select(COMMENT_FIELDS)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ message: "error creating comment", error });
+    }
+
+    // A post author replied to directly gets the reply notification only
+    const event = { actorId: req.user.id, postId: post.id, commentId: comment.id };
+    if (parent) {
+      await notify({ ...event, userId: parent.user_id, type: "reply", parentCommentId: parent.id });
+    }
+    if (!parent || parent.user_id !== post.user_id) {
+      await notify({ ...event, userId: post.user_id, type: "comment" });
+    }
+
+    res.status(201).json({ message: "comment created successfully", comment: presentComment(comment) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.put("/posts/:id/comments/:commentId", authenticateToken, requireScope("comments:write"), async (req, res) => {
+  const body = req.body?.body;
+  if (!body) {
+    return res.status(400).json({ message: "body is required" });
+  }
+
+  try {
+    const { data: comment, error } = await supabase
+      .from("Comments")
+      .update({ body, updated_at: new Date().toISOString() })
+      .eq("id", req.params.commentId)
+      .eq("post_id", req.params.id)
+      .eq("user_id", req.user.id)
+      .is("deleted_at", null)
+      .select(COMMENT_FIELDS)
+      .maybeSingle();
+
+    if (error || !comment) {
+      return res
+        .status(400)
+        .json({ message: "Not authorized to update this comment or comment not found" });
+    }
+    res.status(200).json({ comment: presentComment(comment) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/posts/:id/comments/:commentId", authenticateToken, requireScope("comments:write"), async (req, res) => {
+  try {
+    const comment = await findComment(req.params.id, req.params.commentId);
+    const canModerate = hasPermission(req.user, "posts:moderate");
+
+    if (!comment || comment.deleted_at || (comment.user_id !== req.user.id && !canModerate)) {
+      return res
+        .status(400)
+        .json({ message: "not authorized to delete this comment or comment not found" });
+    }
+
+    const { count: replyCount } = await supabase
+      .from("Comments")
+      .select("id", { count: "exact", head: true })
+      .eq("parent_id", comment.id);
+
+    // Keep a placeholder when removing the comment would orphan its replies
+    const { error } = replyCount
+      ? await supabase
+          .from("Comments")
+          .update({ body: null, deleted_at: new Date().toISOString() })
+          .eq("id", comment.id)
+      : await supabase.from("Comments").delete().eq("id", comment.id);
+
+    if (error) {
+      return res.status(500).json({ message: "error deleting comment", error });
+    }
+    res.status(200).json({ message: "comment deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
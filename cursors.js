@@ -0,0 +1,48 @@
+// Opaque cursors for keyset pagination over (publish_at, id). The timestamp
+// is kept exactly as the database returned it so microseconds survive.
+export function encodeCursor(post) {
+  return Buffer.from(JSON.stringify([post.publish_at, post.id])).toString("base64url");
+}
+
+// The timestamp ends up inside a PostgREST filter, so only plain ISO 8601 passes
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+
+export function decodeCursor(cursor) {
+  try {
+    const [publishAt, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!TIMESTAMP_PATTERN.test(publishAt) || !Number.isInteger(id)) {
+      return null;
+    }
+    return { publishAt, id };
+  } catch {
+    return null;
+  }
+}
+
+// Newest first: "after" pages towards older posts, "before" towards newer
+// ones. Rows for "before" come back oldest first and must be reversed.
+export function applyCursor(query, cursor, direction) {
+  const op = direction === "after" ? "lt" : "gt";
+  return query
+    .or(`publish_at.${op}."${cursor.publishAt}",and(publish_at.eq."${cursor.publishAt}",id.${op}.${cursor.id})`)
+    .order("publish_at", { ascending: direction === "before" })
+    .order("id", { ascending: direction === "before" });
+}
+
+// Turns rows fetched with limit + 1 into one page and the cursors either side
+// of it. direction is null for the first page.
+export function cursorPage(rows, limit, direction) {
+  const hasMore = rows.length > limit;
+  const posts = rows.slice(0, limit);
+  if (direction === "before") {
+    posts.reverse();
+  }
+
+  const first = posts[0];
+  const last = posts[posts.length - 1];
+  return {
+    posts,
+    nextCursor: last && (direction === "before" || hasMore) ? encodeCursor(last) : null,
+    prevCursor: first && (direction === "after" || (direction === "before" && hasMore)) ? encodeCursor(first) : null,
+  };
+}
@@ -0,0 +1,86 @@
+// Above this many table cells (16 MB) the changed middle of the texts is
+// shown as one removed and one added block instead of a minimal diff
+const MAX_LCS_CELLS = 4000000;
+
+// Line-based diff between two texts using the longest common subsequence.
+// Returns hunks like { type: "equal" | "added" | "removed", lines: [...] }.
+export function diffLines(before, after) {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+  };
+
+  // Edits usually touch a small part of a post, so only the lines between the
+  // common prefix and suffix need the quadratic table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let k = 0; k < start; k++) {
+    push("equal", a[k]);
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if ((rows + 1) * (cols + 1) > MAX_LCS_CELLS) {
+    for (let i = start; i < endA; i++) {
+      push("removed", a[i]);
+    }
+    for (let j = start; j < endB; j++) {
+      push("added", b[j]);
+    }
+  } else {
+    // lengths[i * width + j] = LCS length of the middles from i and j on
+    const width = cols + 1;
+    const lengths = new Uint32Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          a[start + i] === b[start + j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (a[start + i] === b[start + j]) {
+        push("equal", a[start + i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push("removed", a[start + i++]);
+      } else {
+        push("added", b[start + j++]);
+      }
+    }
+    while (i < rows) {
+      push("removed", a[start + i++]);
+    }
+    while (j < cols) {
+      push("added", b[start + j++]);
+    }
+  }
+
+  for (let k = endA; k < a.length; k++) {
+    push("equal", a[k]);
+  }
+
+  return hunks;
+}
@@ -0,0 +1,82 @@
+import express from "express";
+import { authenticateToken, resolveUser } from "./auth.js";
+import { getEventBus } from "./events.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25000;
+const AUTH_CHECK_MS = parseInt(process.env.SSE_AUTH_CHECK_MS) || 60000;
+const RETRY_MS = 5000;
+
+export function formatEvent({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Server-Sent Events: post changes for everyone plus the viewer's own
+// notifications. Browsers reconnect on their own and send Last-Event-ID;
+// clients that can't set headers may pass ?lastEventId= instead.
+router.get("/events", authenticateToken, (req, res) => {
+  const bus = getEventBus();
+  const userId = req.user.id;
+  const send = (event) => {
+    if (!event.userId || event.userId === userId) {
+      res.write(formatEvent(event));
+    }
+  };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stops nginx-style proxies from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Replay and subscribe in the same tick so nothing published in between
+  // is missed. A client too far behind is told to refetch instead.
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = bus.since(lastEventId);
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      res.write(formatEvent({ type: "resync", data: {} }));
+    }
+  }
+  const unsubscribe = bus.subscribe(send);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  // The stream ends when its credentials stop being valid. A browser
+  // reconnecting with them would get a 401 and give up for good, so clients
+  // are told to refresh first and open a new stream themselves.
+  const reauth = () => {
+    if (!res.writableEnded) {
+      res.write(formatEvent({ type: "reauth", data: {} }));
+      res.end();
+    }
+  };
+
+  const expiresIn = req.user.exp ? req.user.exp * 1000 - Date.now() : null;
+  const expiry = expiresIn ? setTimeout(reauth, Math.max(expiresIn, 0)) : null;
+
+  // Revoked sessions and API keys, which have no expiry at all, are only
+  // noticed by checking again. A failed lookup leaves the stream open.
+  const authCheck = setInterval(async () => {
+    const { user, status } = await resolveUser(req);
+    if (status !== 500 && user?.id !== userId) {
+      reauth();
+    }
+  }, AUTH_CHECK_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clearInterval(authCheck);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,101 @@
+import { EventEmitter } from "events";
+import { randomBytes } from "crypto";
+import { isPubliclyVisible } from "./post-status.js";
+import { withRenderedBody } from "./markdown.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Recent events are kept so a reconnecting client can catch up from its
+// Last-Event-ID. Ids start with a per-process prefix, so an id from before a
+// restart is recognized as unknown rather than replayed from the wrong place.
+export function createMemoryBus(bufferSize = parseInt(process.env.EVENT_BUFFER_SIZE) || 500) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  const prefix = randomBytes(4).toString("hex");
+  const buffer = [];
+  let sequence = 0;
+
+  return {
+    publish(event) {
+      sequence++;
+      const stored = { ...event, id: `${prefix}-${sequence}` };
+      buffer.push({ sequence, event: stored });
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+      emitter.emit("event", stored);
+      return stored;
+    },
+    subscribe(listener) {
+      emitter.on("event", listener);
+      return () => emitter.off("event", listener);
+    },
+    // Events after lastEventId, or null when it is unknown or so old that
+    // some of the events since have already been dropped
+    since(lastEventId) {
+      const [idPrefix, idSequence] = String(lastEventId).split("-");
+      const after = Number(idSequence);
+      if (idPrefix !== prefix || !Number.isInteger(after) || after > sequence) {
+        return null;
+      }
+      const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+      if (after < oldest - 1) {
+        return null;
+      }
+      return buffer.filter((entry) => entry.sequence > after).map((entry) => entry.event);
+    },
+  };
+}
+
+// A broker-backed bus (Redis, Postgres LISTEN/NOTIFY, ...) implements the same
+// publish, subscribe and since methods and is installed with setEventBus().
+const buses = {
+  memory: createMemoryBus(),
+};
+
+let customBus = null;
+
+export function setEventBus(bus) {
+  customBus = bus;
+}
+
+export function getEventBus(name = process.env.EVENT_BUS || "memory") {
+  const bus = customBus || buses[name];
+  if (!bus) {
+    throw new Error(`Unknown event bus: ${name}`);
+  }
+  return bus;
+}
+
+// Events without a userId go to every connected client; the rest only to
+// that user
+export function publishEvent(type, data, userId = null) {
+  try {
+    return getEventBus().publish({ type, data, userId });
+  } catch (err) {
+    console.error("Error publishing event:", err);
+    return null;
+  }
+}
+
+// Post changes are public only while the post is. Its author hears about
+// drafts and scheduled posts, and readers are told when a post they could
+// see stops being public.
+export function publishPostEvent(type, post, previous = null) {
+  if (type === "post.deleted") {
+    const data = { id: post.id, slug: post.slug };
+    return publishEvent(type, data, isPubliclyVisible(post) ? null : post.user_id);
+  }
+
+  const payload = { post: withRenderedBody(post) };
+  if (isPubliclyVisible(post)) {
+    return publishEvent(type, payload);
+  }
+
+  if (previous && isPubliclyVisible(previous)) {
+    publishEvent("post.deleted", { id: post.id, slug: previous.slug });
+  }
+  return publishEvent(type, payload, post.user_id);
+}
@@ -0,0 +1,163 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateSession, authenticateToken } from "./auth.js";
+import { findUser } from "./profile-routes.js";
+import { notify } from "./notifications.js";
+import { POST_FIELDS, presentPosts } from "./posts-routes.js";
+import { applyCursor, cursorPage, decodeCursor } from "./cursors.js";
+import { onlyPubliclyVisible, publishDuePosts } from "./post-status.js";
+
+const router = express.Router();
+
+async function followerCount(userId) {
+  const { data } = await supabase
+    .from("Users")
+    .select("follower_count")
+    .eq("id", userId)
+    .single();
+  return data?.follower_count || 0;
+}
+
+router.post("/users/:idOrHandle/follow", authenticateSession, async (req, res) => {
+  try {
+    const user = await findUser(req.params.idOrHandle);
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: "you can't follow yourself" });
+    }
+
+    // Following someone twice is a no-op
+    const { data: added, error } = await supabase
+      .from("Follows")
+      .upsert([{ follower_id: req.user.id, followed_id: user.id }], {
+        onConflict: "follower_id,followed_id",
+        ignoreDuplicates: true,
+      })
+      .select("followed_id");
+
+    if (error) {
+      return res.status(500).json({ message: "error following user", error });
+    }
+    if (added.length > 0) {
+      await notify({ userId: user.id, actorId: req.user.id, type: "follow" });
+    }
+    res.status(200).json({ following: true, follower_count: await followerCount(user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/users/:idOrHandle/follow", authenticateSession, async (req, res) => {
+  try {
+    const user = await findUser(req.params.idOrHandle);
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+
+    const { error } = await supabase
+      .from("Follows")
+      .delete()
+      .eq("follower_id", req.user.id)
+      .eq("followed_id", user.id);
+
+    if (error) {
+      return res.status(500).json({ message: "error unfollowing user", error });
+    }
+    res.status(200).json({ following: false, follower_count: await followerCount(user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+// Followers and following share a handler; they differ in which side of
+// the Follows row is the user and which is listed
+const FOLLOW_LISTS = {
+  followers: { match: "followed_id", listed: "follower_id" },
+  following: { match: "follower_id", listed: "followed_id" },
+};
+
+for (const [list, { match, listed }] of Object.entries(FOLLOW_LISTS)) {
+  router.get(`/users/:idOrHandle/${list}`, async (req, res) => {
+    try {
+      let page = parseInt(req.query.page) || 1;
+      let limit = parseInt(req.query.limit) || 20;
+      if (page < 1) {
+        page = 1;
+      }
+      limit = Math.min(Math.max(limit, 1), 100);
+
+      const start = (page - 1) * limit;
+      const end = start + limit - 1;
+
+      const user = await findUser(req.params.idOrHandle);
+      if (!user) {
+        return res.status(404).json({ message: "user not found" });
+      }
+
+      const { data: rows, count, error } = await supabase
+        .from("Follows")
+        .select(`created_at, Users!${listed} (id, name, handle, avatar_url)`, { count: "exact" })
+        .eq(match, user.id)
+        .order("created_at", { ascending: false })
+        .range(start, end);
+
+      if (error) {
+        return res.status(500).json({ message: `error fetching ${list}`, error });
+      }
+      res.json({
+        users: rows.map((row) => ({ ...row.Users, followed_at: row.created_at })),
+        totalUsers: count || 0,
+        totalPages: Math.ceil((count || 0) / limit),
+        currentPage: page,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: `${list} fetch failed on server` });
+    }
+  });
+}
+
+// Posts from followed authors, newest first. Paged with ?after= / ?before=
+// cursors only, since new posts arrive at the top while the feed is read.
+router.get("/feed", authenticateToken, async (req, res) => {
+  try {
+    let limit = parseInt(req.query.limit) || 10;
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    const { after, before } = req.query;
+    if (after && before) {
+      return res.status(400).json({ message: "use either after or before, not both" });
+    }
+    const direction = after ? "after" : before ? "before" : null;
+    const cursor = direction ? decodeCursor(req.query[direction]) : null;
+    if (direction && !cursor) {
+      return res.status(400).json({ message: "invalid cursor" });
+    }
+
+    await publishDuePosts();
+
+    // The join with Follows happens in the database (see migrations)
+    let query = onlyPubliclyVisible(supabase.rpc("feed_posts", { viewer_id: req.user.id }).select(POST_FIELDS));
+    query = cursor
+      ? applyCursor(query, cursor, direction)
+      : query.order("publish_at", { ascending: false }).order("id", { ascending: false });
+
+    // One extra row tells us whether there is another page in that direction
+    const { data: rows, error } = await query.limit(limit + 1);
+    if (error) {
+      return res.status(500).json({ message: "error fetching feed", error });
+    }
+
+    const { posts, nextCursor, prevCursor } = cursorPage(rows, limit, direction);
+    res.json({ posts: await presentPosts(posts, req.user), nextCursor, prevCursor });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "feed fetch failed on server" });
+  }
+});
+
+export default router;
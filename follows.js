@@ -0,0 +1,11 @@
+import { supabase } from "./db.js";
+
+export async function isFollowing(followerId, followedId) {
+  const { data } = await supabase
+    .from("Follows")
+    .select("follower_id")
+    .eq("follower_id", followerId)
+    .eq("followed_id", followedId)
+    .maybeSingle();
+  return !!data;
+}
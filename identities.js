@@ -0,0 +1,184 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { supabase } from "./db.js";
+
+const LINK_COOKIE_NAME = "oauth_link";
+
+// Signed with a derived key so a link token can never pass as an access token
+function linkSecret() {
+  return crypto.createHmac("sha256", process.env.JWT_SECRET).update("oauth-link").digest("hex");
+}
+
+// Remembers, across the provider redirect, which logged-in user asked to link
+export function startOAuthLink(req, res, next) {
+  const token = jwt.sign({ id: req.user.id }, linkSecret(), { expiresIn: "10m" });
+  res.cookie(LINK_COOKIE_NAME, token, {
+    maxAge: 10 * 60 * 1000,
+    httpOnly: true,
+    path: "/auth",
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+  });
+  next();
+}
+
+// Returns the user id that started a link flow, clearing the marker cookie
+export function consumeOAuthLink(req) {
+  const token = req.cookies && req.cookies[LINK_COOKIE_NAME];
+  if (!token) {
+    return null;
+  }
+
+  req.res?.clearCookie(LINK_COOKIE_NAME, { path: "/auth" });
+  try {
+    return jwt.verify(token, linkSecret()).id;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function findUser(userId) {
+  const { data: user, error } = await supabase
+    .from("Users")
+    .select("*")
+    .eq("id", userId)
+    .single();
+
+  if (error) {
+    throw new Error(`error loading user: ${error.message}`);
+  }
+  return user;
+}
+
+export async function listIdentities(userId) {
+  const { data: identities, error } = await supabase
+    .from("UserIdentities")
+    .select("id, provider, email, created_at")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw new Error(`error loading identities: ${error.message}`);
+  }
+  return identities;
+}
+
+async function createIdentity(userId, { provider, subject, email }) {
+  const { error } = await supabase.from("UserIdentities").insert([
+    { user_id: userId, provider, provider_subject: subject, email: email || null },
+  ]);
+  return error;
+}
+
+// Resolves an OAuth login to a user by provider subject id. Emails are never
+// used to merge accounts, with one exception: OAuth-only rows created by Google
+// sign-in before identities were tracked get their identity attached on first
+// login. Returns { user, linked } or { error } with a frontend error code.
+export async function findOrCreateOAuthUser({ provider, subject, email, name, emailVerified, linkUserId }) {
+  const { data: identity, error: identityError } = await supabase
+    .from("UserIdentities")
+    .select("user_id")
+    .eq("provider", provider)
+    .eq("provider_subject", subject)
+    .maybeSingle();
+
+  if (identityError) {
+    throw new Error(`error looking up identity: ${identityError.message}`);
+  }
+
+  if (identity) {
+    if (linkUserId && identity.user_id !== linkUserId) {
+      return { error: "identity_in_use" };
+    }
+    return { user: await findUser(identity.user_id), linked: !!linkUserId };
+  }
+
+  if (linkUserId) {
+    const linkError = await createIdentity(linkUserId, { provider, subject, email });
+    if (linkError) {
+      console.error("Error linking identity:", linkError);
+      return { error: linkError.code === "23505" ? "provider_already_linked" : "link_failed" };
+    }
+    return { user: await findUser(linkUserId), linked: true };
+  }
+
+  if (email) {
+    const { data: existingUser } = await supabase
+      .from("Users")
+      .select("*")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (existingUser) {
+      const { count } = await supabase
+        .from("UserIdentities")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", existingUser.id);
+
+      if (provider === "google" && !existingUser.password && !count) {
+        console.log("Attaching Google identity to legacy OAuth account:", existingUser.email);
+        const legacyError = await createIdentity(existingUser.id, { provider, subject, email });
+        if (legacyError) {
+          throw new Error(`error attaching identity: ${legacyError.message}`);
+        }
+        return { user: existingUser, linked: false };
+      }
+
+      // Someone already owns this email; they have to log in and link explicitly
+      return { error: "account_exists" };
+    }
+  }
+
+  const { data: newUser, error: createError } = await supabase
+    .from("Users")
+    .insert([
+      {
+        name: name.trim(),
+        email: email ? email.toLowerCase().trim() : null,
+        password: null, // OAuth users don't have passwords
+        verified_at: emailVerified ? new Date().toISOString() : null,
+      },
+    ])
+    .select()
+    .single();
+
+  if (createError) {
+    if (createError.code === "23505") {
+      return { error: "account_exists" };
+    }
+    throw new Error(`error creating user: ${createError.message}`);
+  }
+
+  const newIdentityError = await createIdentity(newUser.id, { provider, subject, email });
+  if (newIdentityError) {
+    throw new Error(`error creating identity: ${newIdentityError.message}`);
+  }
+
+  return { user: newUser, linked: false };
+}
+
+// Refuses to remove the last way a user can sign in
+export async function unlinkIdentity(userId, provider) {
+  const user = await findUser(userId);
+  const identities = await listIdentities(userId);
+
+  if (!identities.some((identity) => identity.provider === provider)) {
+    return { error: "not_linked" };
+  }
+
+  if (!user.password && identities.length <= 1) {
+    return { error: "last_login_method" };
+  }
+
+  const { error } = await supabase
+    .from("UserIdentities")
+    .delete()
+    .eq("user_id", userId)
+    .eq("provider", provider);
+
+  if (error) {
+    throw new Error(`error unlinking identity: ${error.message}`);
+  }
+
+  return {};
+}
@@ -0,0 +1,37 @@
+import express from "express";
+import { authenticateSession } from "./auth.js";
+import { listIdentities, unlinkIdentity } from "./identities.js";
+
+const router = express.Router();
+
+router.get("/auth/identities", authenticateSession, async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user.id);
+    res.json({ identities });
+  } catch (err) {
+    console.error("List identities error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.delete("/auth/identities/:provider", authenticateSession, async (req, res) => {
+  try {
+    const result = await unlinkIdentity(req.user.id, req.params.provider);
+
+    if (result.error === "not_linked") {
+      return res.status(404).json({ message: "That provider is not linked to your account" });
+    }
+    if (result.error === "last_login_method") {
+      return res.status(400).json({
+        message: "Set a password or link another provider before unlinking this one",
+      });
+    }
+
+    res.status(200).json({ message: "Provider unlinked" });
+  } catch (err) {
+    console.error("Unlink identity error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
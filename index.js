@@ -1,17 +1,50 @@
 import express from "express";
 import cors from "cors";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import { supabase } from "./db.js";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import session from "express-session";
 import passport from "./passport-config.js";
+import {
+  clearAuthCookies,
+  generateTokenAndSetCookie,
+  refreshCookieName,
+  resolveUser,
+  revokeRefreshToken,
+} from "./auth.js";
+import sessionRoutes from "./session-routes.js";
+import passwordRoutes from "./password-routes.js";
+import verificationRoutes, { sendVerificationEmail } from "./verification-routes.js";
+import mfaRoutes, { issueMfaToken } from "./mfa-routes.js";
+import identityRoutes from "./identity-routes.js";
+import oauthRoutes from "./oauth-routes.js";
+import adminRoutes from "./admin-routes.js";
+import apiKeyRoutes from "./api-key-routes.js";
+import postsRoutes from "./posts-routes.js";
+import commentRoutes from "./comment-routes.js";
+import reactionRoutes from "./reaction-routes.js";
+import tagRoutes from "./tag-routes.js";
+import revisionRoutes from "./revision-routes.js";
+import attachmentRoutes from "./attachment-routes.js";
+import profileRoutes from "./profile-routes.js";
+import followRoutes from "./follow-routes.js";
+import notificationRoutes from "./notification-routes.js";
+import eventRoutes from "./event-routes.js";
+import { getMailTransport } from "./mailer.js";
+import lockoutRoutes, {
+  DUMMY_PASSWORD_HASH,
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./lockout-routes.js";
 
 dotenv.config();
 
 const app = express();
 
+// Behind the hosting proxy, so req.ip reflects the client for session tracking
+app.set("trust proxy", 1);
 
 app.use(
   cors({
@@ -22,8 +55,8 @@ app.use(
       /\.vercel\.app$/ // Allow all Vercel preview deployments
     ],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Last-Event-ID'],
     exposedHeaders: ['Set-Cookie'],
   })
 );
@@ -52,119 +85,6 @@ app.use(passport.session());
 const PORT = process.env.PORT || 5000;
 
 
-async function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"] || "";
-  const headerToken = authHeader && authHeader.split(" ")[1];
-  const cookieToken = req.cookies && req.cookies[process.env.COOKIE_NAME];
-  const token = headerToken || cookieToken;
-
-  console.log("Auth middleware - checking token:");
-  console.log("- Header token present:", !!headerToken);
-  console.log("- Cookie token present:", !!cookieToken);
-  console.log("- Using token from:", headerToken ? "header" : cookieToken ? "cookie" : "none");
-
-  if (!token) {
-    console.log("No token found in request");
-    return res.status(401).json({ message: "Invalid or no token found" });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log("Token verified successfully for user:", decoded.id);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    console.error("Token verification error:", err);
-    return res.status(401).json({ message: "Invalid token" });
-  }
-}
-
-function generateTokenAndSetCookie(user, res) {
-  const token = jwt.sign(
-    { id: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "24h" }
-  );
-
-  const isProduction = process.env.NODE_ENV === "production";
-
-  // Enhanced cookie settings for better cross-origin support
-  const cookieOptions = {
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    httpOnly: true,
-    path: "/",
-  };
-
-  if (isProduction) {
-    cookieOptions.sameSite = "none";
-    cookieOptions.secure = true;
-    // Don't set domain in production to allow cross-origin cookies
-  } else {
-    cookieOptions.sameSite = "lax";
-    cookieOptions.secure = false;
-  }
-
-  console.log("Setting cookie with options:", cookieOptions);
-  res.cookie(process.env.COOKIE_NAME, token, cookieOptions);
-
-  return token;
-}
-
-
-
-
-
-app.get("/auth/google",
-  passport.authenticate("google", {
-    scope: ["profile", "email"]
-  })
-);
-
-
-app.get("/auth/google/callback",
-  passport.authenticate("google", {
-    failureRedirect: `${process.env.FRONTEND_URL}/login?error=oauth_failed`,
-    session: false
-  }),
-  (req, res) => {
-    try {
-      console.log("Google OAuth callback - user data:", req.user);
-      console.log("Environment:", process.env.NODE_ENV);
-      console.log("Frontend URL:", process.env.FRONTEND_URL);
-      console.log("Request headers:", req.headers);
-
-      if (!req.user) {
-        console.error("No user data received from Google OAuth");
-        return res.redirect(`${process.env.FRONTEND_URL}/login?error=no_user_data`);
-      }
-
-      // Generate token and set cookie with enhanced settings
-      const token = generateTokenAndSetCookie(req.user, res);
-      console.log("Token generated and cookie set for user:", req.user.email);
-      console.log("Cookie settings applied");
-
-      // Add a small delay to ensure cookie is properly set
-      setTimeout(() => {
-        // Also pass the token as a URL parameter as a fallback
-        res.redirect(`${process.env.FRONTEND_URL}/auth/callback?success=true&token=${encodeURIComponent(token)}`);
-      }, 100);
-
-    } catch (error) {
-      console.error("Error in Google OAuth callback:", error);
-      console.error("Error stack:", error.stack);
-
-      // More specific error handling
-      if (error.message && error.message.includes("migration required")) {
-        res.redirect(`${process.env.FRONTEND_URL}/login?error=migration_required`);
-      } else if (error.message && error.message.includes("duplicate")) {
-        res.redirect(`${process.env.FRONTEND_URL}/login?error=account_exists`);
-      } else {
-        res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_callback_failed&details=${encodeURIComponent(error.message)}`);
-      }
-    }
-  }
-);
-
 // ============ REGULAR AUTH ROUTES ============
 
 app.post("/auth/register", async (req, res) => {
@@ -188,7 +108,12 @@ app.post("/auth/register", async (req, res) => {
       .select()
       .single();
     if (userError) {
-      res.status(500).json({ message: "error creating user" });
+      return res.status(500).json({ message: "error creating user" });
+    }
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
     }
     res
       .status(201)
@@ -210,30 +135,40 @@ app.post("/auth/login", async (req, res) => {
   }
 
   try {
+    const throttle = await checkLoginThrottle(email, req.ip);
+    if (throttle) {
+      res.set("Retry-After", String(throttle.retryAfter));
+      return res.status(429).json({ message: throttle.message });
+    }
+
     const { data: user, error } = await supabase
       .from("Users")
       .select("*")
       .eq("email", email)
       .single();
 
-    if (!user || error) {
-      return res.status(400).json({ message: "User not found" });
+    // Unknown emails, OAuth-only accounts and wrong passwords all get the same
+    // response, and the dummy hash keeps their timing the same too
+    const isMatch = await bcrypt.compare(password, (user && user.password) || DUMMY_PASSWORD_HASH);
+    if (!user || error || !user.password || !isMatch) {
+      await recordLoginFailure(email, req.ip);
+      return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Check if user has a password (not OAuth-only user)
-    if (!user.password) {
-      return res.status(400).json({
-        message: "This account uses Google login. Please sign in with Google."
+    // Accounts with 2FA finish logging in at /auth/login/mfa, which records
+    // the success once the second factor checks out
+    if (user.totp_enabled_at) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        mfaRequired: true,
+        mfaToken: issueMfaToken(user),
       });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
+    await recordLoginSuccess(email, req.ip);
 
     // Generate token and set cookie using helper function
-    generateTokenAndSetCookie(user, res);
+    await generateTokenAndSetCookie(user, res);
 
     res.status(200).json({
       message: "Login successful",
@@ -249,31 +184,44 @@ app.post("/auth/login", async (req, res) => {
   }
 });
 
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie(process.env.COOKIE_NAME, {
-    httpOnly: true,
-    sameSite: "lax",
-    secure: false,
-  });
+app.post("/auth/logout", async (req, res) => {
+  const refreshToken = req.cookies && req.cookies[refreshCookieName()];
+  try {
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+  } catch (err) {
+    console.error("Logout revocation error:", err);
+  }
+  clearAuthCookies(res);
   res.status(200).json({ message: "logout successful" });
 });
+
+app.use(sessionRoutes);
+app.use(passwordRoutes);
+app.use(verificationRoutes);
+app.use(mfaRoutes);
+app.use(identityRoutes);
+app.use(adminRoutes);
+app.use(lockoutRoutes);
+app.use(apiKeyRoutes);
+
 app.get("/auth/me", async (req, res) => {
   try {
     console.log("Auth me request - cookies:", req.cookies);
     console.log("Auth me request - headers:", req.headers);
     console.log("Auth me request - origin:", req.headers.origin);
 
-    const authHeader = req.headers["authorization"] || "";
-    const headerToken = authHeader && authHeader.split(" ")[1];
-    const cookieToken = req.cookies && req.cookies[process.env.COOKIE_NAME];
-    const token = headerToken || cookieToken;
+    // Same checks as authenticateToken, so a revoked session is signed out
+    // straight away rather than when its access token expires
+    const { user: authUser, status, message } = await resolveUser(req);
 
-    console.log("Header token found:", !!headerToken);
-    console.log("Cookie token found:", !!cookieToken);
-    console.log("Using token from:", headerToken ? "header" : cookieToken ? "cookie" : "none");
-    console.log("Cookie name being used:", process.env.COOKIE_NAME);
+    if (status) {
+      console.log("Auth me rejected:", message);
+      return res.status(status).json({ user: null, debug: "token_invalid", error: message });
+    }
 
-    if (!token) {
+    if (!authUser) {
       console.log("No token found in request");
       console.log("Available cookies:", Object.keys(req.cookies || {}));
       return res.status(401).json({
@@ -284,13 +232,12 @@ app.get("/auth/me", async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log("Token decoded successfully for user:", decoded.id);
+    console.log("Token resolved for user:", authUser.id);
 
     const { data: user, error } = await supabase
       .from("Users")
-      .select("id, name, email, created_at")
-      .eq("id", decoded.id)
+      .select("id, name, email, created_at, verified_at")
+      .eq("id", authUser.id)
       .single();
 
     if (error || !user) {
@@ -304,7 +251,8 @@ app.get("/auth/me", async (req, res) => {
         id: user.id,
         name: user.name,
         email: user.email,
-        created_at: user.created_at
+        created_at: user.created_at,
+        email_verified: !!user.verified_at
       }
     });
   } catch (err) {
@@ -317,119 +265,20 @@ app.get("/auth/me", async (req, res) => {
     });
   }
 });
-app.get("/posts", async (req, res) => {
-  try {
-    let page = parseInt(req.query.page) || 1;
-    let limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || "";
-    if (page < 1) {
-      page = 1;
-    }
-    limit = Math.min((1, limit), 100);
-
-    const start = (page - 1) * limit;
-    const end = start + limit - 1;
-
-    let query = supabase
-      .from("Posts")
-      .select(`
-        *,
-        Users (
-          id,
-          name,
-          email
-        )
-      `, { count: "exact" })
-      .order("created_at", { ascending: false });
-
-    if (search) {
-      query = query.ilike("title", `%${search}%`);
-    }
-    query = query.range(start, end);
-    const { data: posts, count, error } = await query;
-
-    if (error) {
-      return res.status(500).json({ message: "error fetching posts", error });
-    }
-    res.json({
-      posts,
-      totalPosts: count || 0,
-      totalPages: Math.ceil((count || 0) / limit),
-      currentPage: page,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "posts fetch failed on server" });
-  }
-});
-app.post("/posts", authenticateToken, async (req, res) => {
-  const { title, body } = req.body;
-  if (!title || !body) {
-    return res.status(400).json({ message: "title and body are required" });
-  }
-  try {
-    const { data: post, error } = await supabase
-      .from("Posts")
-      .insert([{ title, body, user_id: req.user.id }])
-      .select()
-      .single();
-    if (error) {
-      return res.status(500).json({ message: "error creating post", error });
-    }
-    res.status(201).json({ message: "post created successfully", post });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
-
-app.put("/posts/:id", authenticateToken, async (req, res) => {
-  const postId = req.params.id;
-  const { title, body } = req.body;
-  if (!title || !body) {
-    return res.status(400).json({ message: "title and body are required" });
-  }
-  try {
-    const { data: updatedPost, error } = await supabase
-      .from("Posts")
-      .update({ title, body })
-      .select()
-      .eq("id", postId)
-      .eq("user_id", req.user.id)
-      .single();
-
-    if (error) {
-      res.status(400).json({ message: "Not authorized to update this post " });
-    }
-    res.status(200).json({ updatedPost });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
+// Provider routes go last so /auth/:provider never shadows the routes above
+app.use(oauthRoutes);
+
+app.use(postsRoutes);
+app.use(commentRoutes);
+app.use(reactionRoutes);
+app.use(tagRoutes);
+app.use(revisionRoutes);
+app.use(attachmentRoutes);
+app.use(profileRoutes);
+app.use(followRoutes);
+app.use(notificationRoutes);
+app.use(eventRoutes);
 
-app.delete("/posts/:id", authenticateToken, async (req, res) => {
-  const postId = req.params.id;
-  try {
-    const { data: deleteData, error } = await supabase
-      .from("Posts")
-      .delete()
-      .eq("id", postId)
-      .eq("user_id", req.user.id)
-      .single();
-    if (error) {
-      return res
-        .status(400)
-        .json({ message: "not authorized to delete this post" });
-    }
-    res
-      .status(200)
-      .json({ message: "post deleted successfully", post: deleteData });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
 // Test endpoint to check cookie setting
 app.get("/test-cookie", (req, res) => {
   res.cookie("test", "value", {
@@ -460,6 +309,9 @@ app.get("/debug/oauth", (req, res) => {
   });
 });
 
+// Refuse to start without a way to send mail rather than fail on first use
+getMailTransport();
+
 app.listen(PORT, () => {
   console.log(`server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
@@ -10,6 +10,13 @@ process.env.JWT_SECRET = 'test_jwt_secret_key_for_testing_12345';
 process.env.COOKIE_NAME = 'test_token';
 process.env.FRONTEND_URL = 'http://localhost:3000';
 process.env.SESSION_SECRET = 'test_session_secret_12345';
+// Every suite logs in from the same address, so keep per-IP throttling out of the way
+process.env.LOGIN_IP_FREE_ATTEMPTS = '1000';
+process.env.LOGIN_IP_LOCK_THRESHOLD = '1000';
+// Rank search results in process so tests don't need the search_posts function
+process.env.SEARCH_BACKEND = 'memory';
+// Notice revoked credentials on open event streams quickly
+process.env.SSE_AUTH_CHECK_MS = '1000';
 
 // Global test timeout - increased for database operations
 jest.setTimeout(60000);
@@ -0,0 +1,197 @@
+import express from "express";
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { supabase } from "./db.js";
+import { hashToken } from "./auth.js";
+import { sendMail } from "./mailer.js";
+
+const router = express.Router();
+
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 3;
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10;
+const MAX_DELAY_SECONDS = 30;
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+const UNLOCK_TOKEN_TTL_MINUTES = 60;
+
+// Compared against when an account has no password hash to check
+export const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+// Everything is keyed on the submitted email rather than the user row, so an
+// address without an account gets exactly the same responses as a real one.
+function normalizeEmail(email) {
+  return String(email).toLowerCase().trim();
+}
+
+async function recentFailures(column, value) {
+  const since = new Date(Date.now() - WINDOW_MINUTES * 60 * 1000).toISOString();
+  const { data: failures, error } = await supabase
+    .from("LoginAttempts")
+    .select("created_at")
+    .eq(column, value)
+    .eq("succeeded", false)
+    .gt("created_at", since)
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    throw new Error(`error reading login attempts: ${error.message}`);
+  }
+  return failures;
+}
+
+// Seconds the caller still has to wait given a list of failures, newest first
+function waitFor(failures, freeAttempts, lockThreshold) {
+  if (failures.length === 0) {
+    return 0;
+  }
+
+  const sinceLast = (Date.now() - new Date(failures[0].created_at).getTime()) / 1000;
+
+  if (failures.length >= lockThreshold) {
+    return Math.max(0, LOCK_MINUTES * 60 - sinceLast);
+  }
+
+  if (failures.length >= freeAttempts) {
+    const delay = Math.min(2 ** (failures.length - freeAttempts), MAX_DELAY_SECONDS);
+    return Math.max(0, delay - sinceLast);
+  }
+
+  return 0;
+}
+
+// Returns null when the attempt may proceed, otherwise { message, retryAfter }
+export async function checkLoginThrottle(email, ip) {
+  const [accountFailures, ipFailures] = await Promise.all([
+    recentFailures("email", normalizeEmail(email)),
+    ip ? recentFailures("ip", ip) : [],
+  ]);
+
+  const wait = Math.max(
+    waitFor(accountFailures, ACCOUNT_FREE_ATTEMPTS, ACCOUNT_LOCK_THRESHOLD),
+    waitFor(ipFailures, IP_FREE_ATTEMPTS, IP_LOCK_THRESHOLD)
+  );
+
+  if (wait <= 0) {
+    return null;
+  }
+
+  const locked =
+    accountFailures.length >= ACCOUNT_LOCK_THRESHOLD || ipFailures.length >= IP_LOCK_THRESHOLD;
+
+  return {
+    retryAfter: Math.ceil(wait),
+    message: locked
+      ? "Too many failed attempts. Try again later or use the unlock link sent to your email."
+      : "Too many failed attempts. Please wait before trying again.",
+  };
+}
+
+async function sendUnlockEmail(email) {
+  const { data: user } = await supabase
+    .from("Users")
+    .select("id, email")
+    .eq("email", email)
+    .maybeSingle();
+
+  if (!user) {
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const { error } = await supabase.from("AccountUnlockTokens").insert([
+    {
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + UNLOCK_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+    },
+  ]);
+
+  if (error) {
+    throw new Error(`error storing unlock token: ${error.message}`);
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: "Your account was temporarily locked",
+    text:
+      "We blocked sign-ins to your account after several failed sign-in attempts.\n\n" +
+      `If this was you, unlock it now: ${process.env.FRONTEND_URL}/unlock-account?token=${encodeURIComponent(token)}\n\n` +
+      "If it wasn't, consider resetting your password.",
+  });
+}
+
+export async function recordLoginFailure(email, ip) {
+  const normalized = normalizeEmail(email);
+  const { error } = await supabase
+    .from("LoginAttempts")
+    .insert([{ email: normalized, ip: ip || null, succeeded: false }]);
+
+  if (error) {
+    console.error("Error recording login attempt:", error);
+    return;
+  }
+
+  // Mail the owner once, on the failure that locks the account
+  try {
+    const failures = await recentFailures("email", normalized);
+    if (failures.length === ACCOUNT_LOCK_THRESHOLD) {
+      await sendUnlockEmail(email);
+    }
+  } catch (err) {
+    console.error("Error sending unlock email:", err);
+  }
+}
+
+// A successful login clears the account's failure history
+export async function recordLoginSuccess(email, ip) {
+  const normalized = normalizeEmail(email);
+  await supabase.from("LoginAttempts").delete().eq("email", normalized).eq("succeeded", false);
+  await supabase
+    .from("LoginAttempts")
+    .insert([{ email: normalized, ip: ip || null, succeeded: true }]);
+}
+
+router.get("/auth/unlock", async (req, res) => {
+  const token = req.query.token;
+  if (!token) {
+    return res.status(400).json({ message: "token is required" });
+  }
+
+  try {
+    const { data: claimed, error } = await supabase
+      .from("AccountUnlockTokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("token_hash", hashToken(token))
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error || !claimed) {
+      return res.status(400).json({ message: "Invalid or expired unlock token" });
+    }
+
+    const { data: user } = await supabase
+      .from("Users")
+      .select("email")
+      .eq("id", claimed.user_id)
+      .single();
+
+    if (user) {
+      await supabase
+        .from("LoginAttempts")
+        .delete()
+        .eq("email", normalizeEmail(user.email))
+        .eq("succeeded", false);
+    }
+
+    res.status(200).json({ message: "Account unlocked" });
+  } catch (err) {
+    console.error("Unlock account error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
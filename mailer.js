@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Built-in transports for local development. Production deployments plug in
+// their provider with setMailTransport().
+const transports = {
+  console: async (message) => {
+    console.log("Mail to:", message.to);
+    console.log("Subject:", message.subject);
+    console.log(message.text);
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, "_")}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+  },
+};
+
+let customTransport = null;
+
+export function setMailTransport(transport) {
+  customTransport = transport;
+}
+
+// The console transport prints reset and verification links, tokens and
+// all, so it is only the default where nothing real is being sent
+const CONSOLE_DEFAULT_ENVIRONMENTS = ["test", "development"];
+
+// Throws for a missing or unknown transport; index.js calls this at startup
+export function getMailTransport() {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (CONSOLE_DEFAULT_ENVIRONMENTS.includes(process.env.NODE_ENV) ? "console" : null);
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT must be set when NODE_ENV is not test or development");
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+export async function sendMail({ to, subject, text }) {
+  const transport = getMailTransport();
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+  });
+}
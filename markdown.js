@@ -0,0 +1,88 @@
+import MarkdownIt from "markdown-it";
+import sanitizeHtml from "sanitize-html";
+
+// Raw HTML in a post is shown as text rather than passed through
+const md = new MarkdownIt({ html: false, linkify: true, typographer: true });
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Everything markdown-it can produce, and nothing that runs script or styles
+// the page. Fenced code keeps its language-* class for client-side highlighting.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr",
+    "blockquote", "pre", "code", "em", "strong", "s", "del",
+    "ul", "ol", "li", "a", "img",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedClasses: {
+    code: [/^language-[\w+#-]+$/],
+  },
+  allowedStyles: {
+    th: { "text-align": [/^(left|right|center)$/] },
+    td: { "text-align": [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links leave the site without handing it the opener or passing ranking
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, rel: "noopener noreferrer nofollow", target: "_blank" },
+    }),
+  },
+};
+
+export function renderMarkdown(source) {
+  return sanitizeHtml(md.render(String(source || "")), SANITIZE_OPTIONS);
+}
+
+function plainText(html) {
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} })
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Cut on a word boundary so the excerpt never ends mid-word
+function excerptOf(text) {
+  if (text.length <= EXCERPT_LENGTH) {
+    return text;
+  }
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?&-]+$/, "")}…`;
+}
+
+// Adds body_html, excerpt and reading_time_minutes to a post. Rendering
+// happens on the way out, so sanitizer changes apply to existing posts too.
+export function withRenderedBody(post) {
+  if (!post || typeof post.body !== "string") {
+    return post;
+  }
+
+  const bodyHtml = renderMarkdown(post.body);
+  const text = plainText(bodyHtml);
+  const words = text ? text.split(" ").length : 0;
+
+  return {
+    ...post,
+    body_html: bodyHtml,
+    excerpt: excerptOf(text),
+    reading_time_minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+  };
+}
@@ -0,0 +1,307 @@
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { supabase } from "./db.js";
+import { authenticateSession, generateTokenAndSetCookie, hashToken } from "./auth.js";
+import { generateSecret, otpauthUri, verifyTotp } from "./totp.js";
+import { checkLoginThrottle, recordLoginFailure, recordLoginSuccess } from "./lockout-routes.js";
+
+const router = express.Router();
+
+const MFA_TOKEN_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Signed with a derived key so an mfa token can never pass as an access token
+function mfaSecret() {
+  return crypto.createHmac("sha256", process.env.JWT_SECRET).update("mfa-pending").digest("hex");
+}
+
+export function issueMfaToken(user) {
+  return jwt.sign({ id: user.id, jti: crypto.randomUUID() }, mfaSecret(), {
+    expiresIn: MFA_TOKEN_TTL,
+  });
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+
+  await supabase.from("RecoveryCodes").delete().eq("user_id", userId);
+  const { error } = await supabase
+    .from("RecoveryCodes")
+    .insert(codes.map((code) => ({ user_id: userId, code_hash: hashToken(code) })));
+
+  if (error) {
+    throw new Error(`error storing recovery codes: ${error.message}`);
+  }
+
+  return codes;
+}
+
+async function consumeRecoveryCode(userId, code) {
+  const normalized = String(code).trim().toLowerCase();
+  const { data: used } = await supabase
+    .from("RecoveryCodes")
+    .update({ used_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .eq("code_hash", hashToken(normalized))
+    .is("used_at", null)
+    .select();
+
+  return !!(used && used.length);
+}
+
+// Checks a TOTP code against the user's active secret, refusing a code from a
+// time step that has already been used.
+async function consumeTotpCode(user, code) {
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null || (user.totp_last_step && step <= user.totp_last_step)) {
+    return false;
+  }
+
+  const { data: updated } = await supabase
+    .from("Users")
+    .update({ totp_last_step: step })
+    .eq("id", user.id)
+    .or(`totp_last_step.is.null,totp_last_step.lt.${step}`)
+    .select("id");
+
+  return !!(updated && updated.length);
+}
+
+// Accepts either a current authenticator code or an unused recovery code
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    return consumeTotpCode(user, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user.id, recoveryCode);
+  }
+  return false;
+}
+
+// Wrong codes count towards the same lockout as wrong passwords wherever a
+// second factor is asked for, so a stolen access token can't be used to
+// guess codes either. Returns null when the code is good, otherwise
+// { status, message, retryAfter }.
+async function checkSecondFactor(user, factors, ip) {
+  const throttle = await checkLoginThrottle(user.email, ip);
+  if (throttle) {
+    return { status: 429, message: throttle.message, retryAfter: throttle.retryAfter };
+  }
+
+  if (!(await verifySecondFactor(user, factors))) {
+    await recordLoginFailure(user.email, ip);
+    return { status: 400, message: "Invalid code" };
+  }
+  return null;
+}
+
+function sendSecondFactorError(res, { status, message, retryAfter }) {
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+  }
+  return res.status(status).json({ message });
+}
+
+async function loadUser(userId) {
+  const { data: user, error } = await supabase
+    .from("Users")
+    .select("id, name, email, role, totp_secret, totp_pending_secret, totp_enabled_at, totp_last_step")
+    .eq("id", userId)
+    .single();
+
+  if (error) {
+    return null;
+  }
+  return user;
+}
+
+router.post("/auth/2fa/setup", authenticateSession, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    const { error } = await supabase
+      .from("Users")
+      .update({ totp_pending_secret: secret })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error storing pending TOTP secret:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    res.status(200).json({
+      secret,
+      otpauthUri: otpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || "Blog",
+      }),
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.post("/auth/2fa/confirm", authenticateSession, async (req, res) => {
+  const code = req.body?.code;
+  if (!code) {
+    return res.status(400).json({ message: "code is required" });
+  }
+
+  try {
+    const user = await loadUser(req.user.id);
+    if (!user || !user.totp_pending_secret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const step = verifyTotp(user.totp_pending_secret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { error } = await supabase
+      .from("Users")
+      .update({
+        totp_secret: user.totp_pending_secret,
+        totp_pending_secret: null,
+        totp_enabled_at: new Date().toISOString(),
+        totp_last_step: step,
+      })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error enabling 2FA:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA confirm error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.post("/auth/2fa/recovery-codes", authenticateSession, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.id);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    // Only an authenticator code will do here, not a recovery code
+    const refusal = await checkSecondFactor(user, { code: req.body?.code }, req.ip);
+    if (refusal) {
+      return sendSecondFactorError(res, refusal);
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+    res.status(200).json({ recoveryCodes });
+  } catch (err) {
+    console.error("Recovery code regeneration error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.post("/auth/2fa/disable", authenticateSession, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.id);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const { code, recoveryCode } = req.body || {};
+    const refusal = await checkSecondFactor(user, { code, recoveryCode }, req.ip);
+    if (refusal) {
+      return sendSecondFactorError(res, refusal);
+    }
+
+    const { error } = await supabase
+      .from("Users")
+      .update({
+        totp_secret: null,
+        totp_pending_secret: null,
+        totp_enabled_at: null,
+        totp_last_step: null,
+      })
+      .eq("id", user.id);
+
+    if (error) {
+      console.error("Error disabling 2FA:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    await supabase.from("RecoveryCodes").delete().eq("user_id", user.id);
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Second step of /auth/login for accounts with 2FA enabled
+router.post("/auth/login/mfa", async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body || {};
+  if (!mfaToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: "mfaToken and code are required" });
+  }
+
+  let pending;
+  try {
+    pending = jwt.verify(mfaToken, mfaSecret());
+  } catch (err) {
+    return res.status(401).json({ message: "Login session expired, please sign in again" });
+  }
+
+  try {
+    const user = await loadUser(pending.id);
+    if (!user || !user.totp_enabled_at) {
+      return res.status(401).json({ message: "Login session expired, please sign in again" });
+    }
+
+    // Signing in again for a fresh mfa token doesn't buy more guesses
+    const refusal = await checkSecondFactor(user, { code, recoveryCode }, req.ip);
+    if (refusal) {
+      return sendSecondFactorError(res, refusal);
+    }
+
+    await recordLoginSuccess(user.email, req.ip);
+    await generateTokenAndSetCookie(user, res);
+
+    res.status(200).json({
+      message: "Login successful",
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+      },
+    });
+  } catch (err) {
+    console.error("MFA login error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,17 @@
+-- Run in the Supabase SQL editor.
+-- Rotating refresh tokens; every login starts a new family_id and each
+-- /auth/refresh replaces the presented token with a new one in that family.
+
+create table if not exists "RefreshTokens" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  family_id uuid not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by bigint references "RefreshTokens"(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_family_id_idx on "RefreshTokens" (family_id);
+create index if not exists refresh_tokens_user_id_idx on "RefreshTokens" (user_id);
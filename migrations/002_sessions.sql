@@ -0,0 +1,33 @@
+-- Run in the Supabase SQL editor.
+-- One row per logged-in device/browser. The session id is the refresh token
+-- family id and is embedded in access tokens as the "sid" claim.
+
+create table if not exists "Sessions" (
+  id uuid primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  user_agent text,
+  ip text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists sessions_user_id_idx on "Sessions" (user_id);
+
+-- Backfill sessions for refresh token families issued before this migration
+insert into "Sessions" (id, user_id, created_at, last_seen_at, expires_at, revoked_at)
+select
+  family_id,
+  min(user_id),
+  min(created_at),
+  max(created_at),
+  max(expires_at),
+  case when bool_and(revoked_at is not null) then max(revoked_at) end
+from "RefreshTokens"
+group by family_id
+on conflict (id) do nothing;
+
+alter table "RefreshTokens"
+  add constraint refresh_tokens_family_id_fkey
+  foreign key (family_id) references "Sessions"(id) on delete cascade;
@@ -0,0 +1,13 @@
+-- Run in the Supabase SQL editor.
+-- Single-use password reset tokens; only the sha256 hash of the emailed token is stored.
+
+create table if not exists "PasswordResetTokens" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_id_idx on "PasswordResetTokens" (user_id);
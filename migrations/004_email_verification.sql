@@ -0,0 +1,17 @@
+-- Run in the Supabase SQL editor.
+-- Password-registered accounts start unverified; Google accounts are verified by Google.
+
+alter table "Users" add column if not exists verified_at timestamptz;
+
+update "Users" set verified_at = created_at where password is null and verified_at is null;
+
+create table if not exists "EmailVerificationTokens" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_verification_tokens_user_id_idx on "EmailVerificationTokens" (user_id);
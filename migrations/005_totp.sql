@@ -0,0 +1,18 @@
+-- Run in the Supabase SQL editor.
+-- Optional TOTP two-factor authentication and one-time recovery codes.
+
+alter table "Users" add column if not exists totp_secret text;
+alter table "Users" add column if not exists totp_pending_secret text;
+alter table "Users" add column if not exists totp_enabled_at timestamptz;
+-- Last accepted time step, so a code cannot be replayed inside its window
+alter table "Users" add column if not exists totp_last_step bigint;
+
+create table if not exists "RecoveryCodes" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recovery_codes_user_id_idx on "RecoveryCodes" (user_id);
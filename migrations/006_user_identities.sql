@@ -0,0 +1,16 @@
+-- Run in the Supabase SQL editor.
+-- External login identities. OAuth logins are matched on (provider, provider_subject)
+-- instead of on email. Existing Google-only users get their row on next Google login.
+
+create table if not exists "UserIdentities" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  provider text not null,
+  provider_subject text not null,
+  email text,
+  created_at timestamptz not null default now(),
+  unique (provider, provider_subject),
+  unique (user_id, provider)
+);
+
+create index if not exists user_identities_user_id_idx on "UserIdentities" (user_id);
@@ -0,0 +1,8 @@
+-- Run in the Supabase SQL editor.
+-- Roles for moderation and user management. Promote the first admin by hand:
+--   update "Users" set role = 'admin' where email = '...';
+
+alter table "Users" add column if not exists role text not null default 'user';
+
+alter table "Users"
+  add constraint users_role_check check (role in ('user', 'moderator', 'admin'));
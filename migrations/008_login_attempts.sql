@@ -0,0 +1,22 @@
+-- Run in the Supabase SQL editor.
+-- Failed and successful password logins, used for per-account and per-IP throttling.
+
+create table if not exists "LoginAttempts" (
+  id bigint generated by default as identity primary key,
+  email text not null,
+  ip text,
+  succeeded boolean not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_attempts_email_idx on "LoginAttempts" (email, created_at desc);
+create index if not exists login_attempts_ip_idx on "LoginAttempts" (ip, created_at desc);
+
+create table if not exists "AccountUnlockTokens" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,17 @@
+-- Run in the Supabase SQL editor.
+-- Personal API keys, sent as "Authorization: ApiKey <key>". Only the sha256
+-- hash is stored; prefix is kept so users can tell their keys apart.
+
+create table if not exists "ApiKeys" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_keys_user_id_idx on "ApiKeys" (user_id);
@@ -0,0 +1,48 @@
+-- Run in the Supabase SQL editor.
+-- Threaded comments. root_id points at the top-level comment of a thread so a
+-- page of threads can be loaded in two queries. Comments are removed with
+-- their post. Deleting an account blanks its comments first (see
+-- removeUserComments), so user_id is only cleared and replies by other
+-- people stay in their threads.
+
+create table if not exists "Comments" (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  user_id bigint references "Users"(id) on delete set null,
+  parent_id bigint references "Comments"(id) on delete cascade,
+  root_id bigint references "Comments"(id) on delete cascade,
+  depth integer not null default 0,
+  body text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  deleted_at timestamptz
+);
+
+create index if not exists comments_post_id_idx on "Comments" (post_id, created_at) where parent_id is null;
+create index if not exists comments_root_id_idx on "Comments" (root_id, created_at);
+create index if not exists comments_parent_id_idx on "Comments" (parent_id);
+
+-- Visible comment count kept on the post for listings
+alter table "Posts" add column if not exists comment_count integer not null default 0;
+
+create or replace function update_post_comment_count() returns trigger as $$
+begin
+  if tg_op = 'INSERT' and new.deleted_at is null then
+    update "Posts" set comment_count = comment_count + 1 where id = new.post_id;
+  elsif tg_op = 'DELETE' and old.deleted_at is null then
+    update "Posts" set comment_count = greatest(comment_count - 1, 0) where id = old.post_id;
+  elsif tg_op = 'UPDATE' and old.deleted_at is null and new.deleted_at is not null then
+    update "Posts" set comment_count = greatest(comment_count - 1, 0) where id = new.post_id;
+  end if;
+  return null;
+end;
+$$ language plpgsql;
+
+drop trigger if exists comments_count_trigger on "Comments";
+create trigger comments_count_trigger
+  after insert or delete or update of deleted_at on "Comments"
+  for each row execute function update_post_comment_count();
+
+update "Posts" p set comment_count = (
+  select count(*) from "Comments" c where c.post_id = p.id and c.deleted_at is null
+);
@@ -0,0 +1,48 @@
+-- Run in the Supabase SQL editor.
+-- One row per user, post and reaction type. Per-type counts and the total are
+-- kept on the post so listings and sort=popular don't have to aggregate.
+
+create table if not exists "PostReactions" (
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  type text not null check (type in ('like', 'love', 'laugh', 'wow', 'sad', 'celebrate')),
+  created_at timestamptz not null default now(),
+  primary key (post_id, user_id, type)
+);
+
+create index if not exists post_reactions_user_id_idx on "PostReactions" (user_id, post_id);
+
+alter table "Posts" add column if not exists reaction_counts jsonb not null default '{}'::jsonb;
+alter table "Posts" add column if not exists reaction_total integer not null default 0;
+
+create index if not exists posts_reaction_total_idx on "Posts" (reaction_total desc, created_at desc);
+
+create or replace function update_post_reaction_counts() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    update "Posts"
+    set reaction_counts = jsonb_set(
+          reaction_counts,
+          array[new.type],
+          to_jsonb(coalesce((reaction_counts ->> new.type)::int, 0) + 1)
+        ),
+        reaction_total = reaction_total + 1
+    where id = new.post_id;
+  elsif tg_op = 'DELETE' then
+    update "Posts"
+    set reaction_counts = jsonb_set(
+          reaction_counts,
+          array[old.type],
+          to_jsonb(greatest(coalesce((reaction_counts ->> old.type)::int, 0) - 1, 0))
+        ),
+        reaction_total = greatest(reaction_total - 1, 0)
+    where id = old.post_id;
+  end if;
+  return null;
+end;
+$$ language plpgsql;
+
+drop trigger if exists post_reactions_count_trigger on "PostReactions";
+create trigger post_reactions_count_trigger
+  after insert or delete on "PostReactions"
+  for each row execute function update_post_reaction_counts();
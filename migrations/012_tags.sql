@@ -0,0 +1,19 @@
+-- Run in the Supabase SQL editor.
+-- Tags are shared between posts and identified by a normalized slug.
+-- GET /tags counts public posts per tag when it is read (see
+-- public_tag_counts).
+
+create table if not exists "Tags" (
+  id bigint generated by default as identity primary key,
+  slug text not null unique,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists "PostTags" (
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  tag_id bigint not null references "Tags"(id) on delete cascade,
+  primary key (post_id, tag_id)
+);
+
+create index if not exists post_tags_tag_id_idx on "PostTags" (tag_id, post_id);
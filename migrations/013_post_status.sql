@@ -0,0 +1,18 @@
+-- Run in the Supabase SQL editor.
+-- Post lifecycle. publish_at is when a published post went live or when a
+-- scheduled one will; the public listing shows posts whose publish_at has
+-- passed. Existing posts count as published at their creation time.
+
+alter table "Posts" add column if not exists status text not null default 'published'
+  check (status in ('draft', 'published', 'scheduled', 'archived'));
+-- Added without a default: a default would be evaluated once, here, and give
+-- every existing row the migration time instead of leaving it to the backfill
+alter table "Posts" add column if not exists publish_at timestamptz;
+
+update "Posts" set publish_at = created_at where publish_at is null and status = 'published';
+
+alter table "Posts" alter column publish_at set default now();
+
+create index if not exists posts_public_idx on "Posts" (publish_at desc)
+  where status in ('published', 'scheduled');
+create index if not exists posts_user_status_idx on "Posts" (user_id, status, created_at desc);
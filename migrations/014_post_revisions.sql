@@ -0,0 +1,33 @@
+-- Run in the Supabase SQL editor.
+-- Append-only history of post content. Each row holds the title and body a
+-- post had before an edit, who made the edit and when. Revisions go with
+-- their post; only editor_id may change, when the editor's account is deleted.
+
+create table if not exists "PostRevisions" (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  revision integer not null,
+  title text not null,
+  body text not null,
+  editor_id bigint references "Users"(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (post_id, revision)
+);
+
+create or replace function reject_post_revision_update() returns trigger as $$
+begin
+  if new.post_id is distinct from old.post_id
+    or new.revision is distinct from old.revision
+    or new.title is distinct from old.title
+    or new.body is distinct from old.body
+    or new.created_at is distinct from old.created_at then
+    raise exception 'PostRevisions is append-only';
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists post_revisions_append_only on "PostRevisions";
+create trigger post_revisions_append_only
+  before update on "PostRevisions"
+  for each row execute function reject_post_revision_update();
@@ -0,0 +1,24 @@
+-- Run in the Supabase SQL editor.
+-- Human-readable post URLs. Posts.slug is the current slug; PostSlugHistory
+-- keeps slugs a post used before a rename so old links can redirect.
+
+alter table "Posts" add column if not exists slug text;
+
+-- Existing posts get "<title>-<id>", which is unique without any checks
+update "Posts"
+set slug = coalesce(
+  nullif(trim(both '-' from left(regexp_replace(lower(title), '[^a-z0-9]+', '-', 'g'), 80)), ''),
+  'post'
+) || '-' || id
+where slug is null;
+
+alter table "Posts" alter column slug set not null;
+create unique index if not exists posts_slug_idx on "Posts" (slug);
+
+create table if not exists "PostSlugHistory" (
+  slug text primary key,
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists post_slug_history_post_id_idx on "PostSlugHistory" (post_id);
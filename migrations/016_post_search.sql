@@ -0,0 +1,79 @@
+-- Run in the Supabase SQL editor.
+-- Full-text search for GET /posts?search=. Title and body are indexed on the
+-- post (title weighted above body); the author's name is matched at query
+-- time with a lower weight. Only publicly visible posts are returned.
+
+alter table "Posts" add column if not exists search_vector tsvector
+  generated always as (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(body, '')), 'B')
+  ) stored;
+
+create index if not exists posts_search_vector_idx on "Posts" using gin (search_vector);
+create index if not exists users_name_search_idx on "Users"
+  using gin (to_tsvector('english', coalesce(name, '')));
+
+-- search_query is tsquery syntax built by search.js, e.g. "(hello <-> world) & node:*"
+create or replace function search_posts(
+  search_query text,
+  result_limit integer default 10,
+  result_offset integer default 0,
+  only_ids bigint[] default null
+)
+returns table (id bigint, rank real, snippet text, total_count bigint)
+language sql stable as $$
+  with q as (
+    -- Terms are joined with " & " at the top level and contain only [a-z0-9],
+    -- so swapping the operator gives "any term"
+    select
+      to_tsquery('english', search_query) as query,
+      to_tsquery('english', replace(search_query, ' & ', ' | ')) as any_term
+  ),
+  -- A post matching the whole query across its text and its author's name
+  -- matches at least one term in its own text, or has an author whose name
+  -- does. Both lookups use an index; only these candidates are checked fully.
+  candidates as (
+    select p.id
+    from "Posts" p
+    cross join q
+    where p.search_vector @@ q.any_term
+    union
+    select p.id
+    from "Users" u
+    cross join q
+    join "Posts" p on p.user_id = u.id
+    where to_tsvector('english', coalesce(u.name, '')) @@ q.any_term
+  ),
+  matches as (
+    select
+      p.id,
+      p.body,
+      ts_rank_cd(d.document, q.query) as rank
+    from candidates c
+    join "Posts" p on p.id = c.id
+    left join "Users" u on u.id = p.user_id
+    cross join q
+    cross join lateral (
+      select p.search_vector || setweight(to_tsvector('english', coalesce(u.name, '')), 'C') as document
+    ) d
+    where d.document @@ q.query
+      and p.status in ('published', 'scheduled')
+      and p.publish_at <= now()
+      and (only_ids is null or p.id = any(only_ids))
+  )
+  select
+    m.id,
+    m.rank,
+    -- Escape the body first; only the <mark> tags in snippets are markup
+    ts_headline(
+      'english',
+      replace(replace(replace(m.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) as snippet,
+    count(*) over () as total_count
+  from matches m
+  cross join q
+  order by m.rank desc, m.id desc
+  limit result_limit offset result_offset;
+$$;
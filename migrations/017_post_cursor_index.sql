@@ -0,0 +1,7 @@
+-- Run in the Supabase SQL editor.
+-- Cursor pagination on GET /posts walks (publish_at, id); index both so the
+-- keyset condition and ordering are served from the index.
+
+drop index if exists posts_public_idx;
+create index if not exists posts_public_idx on "Posts" (publish_at desc, id desc)
+  where status in ('published', 'scheduled');
@@ -0,0 +1,14 @@
+-- Run in the Supabase SQL editor.
+-- When a post's title or body last changed, null if it never has. Drives the
+-- edited filter and sort=updated on GET /posts.
+
+alter table "Posts" add column if not exists edited_at timestamptz;
+
+update "Posts" p
+set edited_at = r.last_edit
+from (
+  select post_id, max(created_at) as last_edit from "PostRevisions" group by post_id
+) r
+where r.post_id = p.id and p.edited_at is null;
+
+create index if not exists posts_user_id_idx on "Posts" (user_id, publish_at desc);
@@ -0,0 +1,20 @@
+-- Run in the Supabase SQL editor.
+-- Images attached to posts. Files live in the storage driver named in
+-- storage_driver (local disk or Supabase Storage); rows go with their post
+-- and the routes remove the files.
+
+create table if not exists "Attachments" (
+  id bigint generated by default as identity primary key,
+  post_id bigint not null references "Posts"(id) on delete cascade,
+  user_id bigint references "Users"(id) on delete set null,
+  storage_driver text not null,
+  storage_key text not null unique,
+  thumbnail_key text not null,
+  content_type text not null,
+  size integer not null,
+  width integer,
+  height integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_post_id_idx on "Attachments" (post_id);
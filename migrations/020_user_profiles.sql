@@ -0,0 +1,10 @@
+-- Run in the Supabase SQL editor.
+-- Public profile fields. Handles are optional, stored lowercase and unique.
+
+alter table "Users" add column if not exists handle text
+  check (handle ~ '^[a-z0-9_]{3,30}$');
+alter table "Users" add column if not exists bio text check (char_length(bio) <= 500);
+alter table "Users" add column if not exists avatar_url text;
+alter table "Users" add column if not exists website text;
+
+create unique index if not exists users_handle_idx on "Users" (handle);
@@ -0,0 +1,38 @@
+-- Run in the Supabase SQL editor.
+-- Who follows whom. Follower and following counts are kept on the user so
+-- profiles don't have to aggregate.
+
+create table if not exists "Follows" (
+  follower_id bigint not null references "Users"(id) on delete cascade,
+  followed_id bigint not null references "Users"(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (follower_id, followed_id),
+  check (follower_id <> followed_id)
+);
+
+create index if not exists follows_followed_id_idx on "Follows" (followed_id, created_at desc);
+create index if not exists follows_follower_id_created_idx on "Follows" (follower_id, created_at desc);
+
+-- The feed reads each followed author's newest posts
+create index if not exists posts_user_id_publish_at_idx on "Posts" (user_id, publish_at desc, id desc);
+
+alter table "Users" add column if not exists follower_count integer not null default 0;
+alter table "Users" add column if not exists following_count integer not null default 0;
+
+create or replace function update_follow_counts() returns trigger as $$
+begin
+  if tg_op = 'INSERT' then
+    update "Users" set follower_count = follower_count + 1 where id = new.followed_id;
+    update "Users" set following_count = following_count + 1 where id = new.follower_id;
+  elsif tg_op = 'DELETE' then
+    update "Users" set follower_count = greatest(follower_count - 1, 0) where id = old.followed_id;
+    update "Users" set following_count = greatest(following_count - 1, 0) where id = old.follower_id;
+  end if;
+  return null;
+end;
+$$ language plpgsql;
+
+drop trigger if exists follows_count_trigger on "Follows";
+create trigger follows_count_trigger
+  after insert or delete on "Follows"
+  for each row execute function update_follow_counts();
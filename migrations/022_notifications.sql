@@ -0,0 +1,60 @@
+-- Run in the Supabase SQL editor.
+-- In-app notifications. Events with the same group_key collapse into one
+-- unread notification ("Alice and 4 others reacted to your post"); once it
+-- has been read the next event starts a new one.
+
+create table if not exists "Notifications" (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references "Users"(id) on delete cascade,
+  type text not null check (type in ('comment', 'reply', 'reaction', 'follow')),
+  group_key text not null,
+  post_id bigint references "Posts"(id) on delete cascade,
+  comment_id bigint references "Comments"(id) on delete set null,
+  -- Most recent first, capped at 20 for display; actor_count is the total
+  actor_ids bigint[] not null default '{}',
+  actor_count integer not null default 1,
+  read_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists notifications_unread_group_idx
+  on "Notifications" (user_id, group_key) where read_at is null;
+create index if not exists notifications_user_id_idx on "Notifications" (user_id, updated_at desc);
+
+-- Per-type opt-outs, e.g. {"reaction": false}. Missing types are enabled.
+alter table "Users" add column if not exists notification_preferences jsonb not null default '{}'::jsonb;
+
+-- Adds one event, merging it into the recipient's unread notification for the
+-- same group. Skips self-notifications and types the recipient turned off.
+create or replace function add_notification(
+  recipient_id bigint,
+  actor_id bigint,
+  notification_type text,
+  notification_group text,
+  notification_post_id bigint default null,
+  notification_comment_id bigint default null
+) returns void as $$
+begin
+  if recipient_id = actor_id then
+    return;
+  end if;
+
+  if exists (
+    select 1 from "Users"
+    where id = recipient_id and notification_preferences ->> notification_type = 'false'
+  ) then
+    return;
+  end if;
+
+  insert into "Notifications" (user_id, type, group_key, post_id, comment_id, actor_ids)
+  values (recipient_id, notification_type, notification_group, notification_post_id,
+          notification_comment_id, array[actor_id])
+  on conflict (user_id, group_key) where read_at is null do update
+  set actor_ids = (array[actor_id] || array_remove("Notifications".actor_ids, actor_id))[1:20],
+      actor_count = "Notifications".actor_count
+        + case when actor_id = any("Notifications".actor_ids) then 0 else 1 end,
+      comment_id = coalesce(excluded.comment_id, "Notifications".comment_id),
+      updated_at = now();
+end;
+$$ language plpgsql;
@@ -0,0 +1,42 @@
+-- Run in the Supabase SQL editor.
+-- add_notification returns the id of the notification it created or merged
+-- into (null when skipped), so the server can push it to the recipient.
+
+drop function if exists add_notification(bigint, bigint, text, text, bigint, bigint);
+
+create or replace function add_notification(
+  recipient_id bigint,
+  actor_id bigint,
+  notification_type text,
+  notification_group text,
+  notification_post_id bigint default null,
+  notification_comment_id bigint default null
+) returns bigint as $$
+declare
+  notification_id bigint;
+begin
+  if recipient_id = actor_id then
+    return null;
+  end if;
+
+  if exists (
+    select 1 from "Users"
+    where id = recipient_id and notification_preferences ->> notification_type = 'false'
+  ) then
+    return null;
+  end if;
+
+  insert into "Notifications" (user_id, type, group_key, post_id, comment_id, actor_ids)
+  values (recipient_id, notification_type, notification_group, notification_post_id,
+          notification_comment_id, array[actor_id])
+  on conflict (user_id, group_key) where read_at is null do update
+  set actor_ids = (array[actor_id] || array_remove("Notifications".actor_ids, actor_id))[1:20],
+      actor_count = "Notifications".actor_count
+        + case when actor_id = any("Notifications".actor_ids) then 0 else 1 end,
+      comment_id = coalesce(excluded.comment_id, "Notifications".comment_id),
+      updated_at = now()
+  returning id into notification_id;
+
+  return notification_id;
+end;
+$$ language plpgsql;
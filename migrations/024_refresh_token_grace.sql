@@ -0,0 +1,6 @@
+-- Run in the Supabase SQL editor.
+-- The successor of a rotated refresh token, encrypted with a key derived from
+-- the rotated token, so a concurrent refresh within the grace window can be
+-- given the same successor instead of being treated as token theft.
+
+alter table "RefreshTokens" add column if not exists successor_secret text;
@@ -0,0 +1,16 @@
+-- Run in the Supabase SQL editor.
+-- Tag usage counted over publicly visible posts only, for GET /tags.
+-- Scheduled posts become visible by time alone, so the count is taken when
+-- the list is read.
+
+create or replace function public_tag_counts(result_limit integer)
+returns table (slug text, name text, post_count bigint) as $$
+  select t.slug, t.name, count(*) as post_count
+  from "Tags" t
+  join "PostTags" pt on pt.tag_id = t.id
+  join "Posts" p on p.id = pt.post_id
+  where p.status in ('published', 'scheduled') and p.publish_at <= now()
+  group by t.id
+  order by count(*) desc, t.slug asc
+  limit result_limit;
+$$ language sql stable;
@@ -0,0 +1,12 @@
+-- Run in the Supabase SQL editor.
+-- Posts by the authors a user follows, for GET /feed. Returning rows of
+-- "Posts" lets the API embed relations and add its visibility, cursor and
+-- limit filters; the function is inlined, so they reach the query plan.
+
+create or replace function feed_posts(viewer_id bigint)
+returns setof "Posts" as $$
+  select p.*
+  from "Posts" p
+  join "Follows" f on f.followed_id = p.user_id
+  where f.follower_id = viewer_id;
+$$ language sql stable;
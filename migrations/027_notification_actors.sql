@@ -0,0 +1,59 @@
+-- Run in the Supabase SQL editor.
+-- Every distinct actor in a notification group, so actor_count stays exact
+-- after actor_ids (kept for display) drops all but the latest 20.
+
+create table if not exists "NotificationActors" (
+  notification_id bigint not null references "Notifications"(id) on delete cascade,
+  actor_id bigint not null references "Users"(id) on delete cascade,
+  primary key (notification_id, actor_id)
+);
+
+-- Unread notifications can still grow, so they need their actors recorded
+insert into "NotificationActors" (notification_id, actor_id)
+select n.id, unnest(n.actor_ids)
+from "Notifications" n
+where n.read_at is null
+on conflict do nothing;
+
+create or replace function add_notification(
+  recipient_id bigint,
+  actor_id bigint,
+  notification_type text,
+  notification_group text,
+  notification_post_id bigint default null,
+  notification_comment_id bigint default null
+) returns bigint as $$
+declare
+  notification_id bigint;
+begin
+  if recipient_id = actor_id then
+    return null;
+  end if;
+
+  if exists (
+    select 1 from "Users"
+    where id = recipient_id and notification_preferences ->> notification_type = 'false'
+  ) then
+    return null;
+  end if;
+
+  insert into "Notifications" (user_id, type, group_key, post_id, comment_id, actor_ids, actor_count)
+  values (recipient_id, notification_type, notification_group, notification_post_id,
+          notification_comment_id, array[actor_id], 0)
+  on conflict (user_id, group_key) where read_at is null do update
+  set actor_ids = (array[actor_id] || array_remove("Notifications".actor_ids, actor_id))[1:20],
+      comment_id = coalesce(excluded.comment_id, "Notifications".comment_id),
+      updated_at = now()
+  returning id into notification_id;
+
+  -- Only an actor new to this group adds to the count
+  insert into "NotificationActors" (notification_id, actor_id)
+  values (notification_id, actor_id)
+  on conflict do nothing;
+  if found then
+    update "Notifications" set actor_count = actor_count + 1 where id = notification_id;
+  end if;
+
+  return notification_id;
+end;
+$$ language plpgsql;
@@ -0,0 +1,95 @@
+-- Run in the Supabase SQL editor.
+-- Tag filters for GET /posts run in the database. tagged_posts returns rows
+-- of "Posts" so the API can embed relations and add its other filters, and
+-- search_posts takes the same tag arguments. Tags.post_count went unused
+-- once GET /tags counted public posts only (see public_tag_counts).
+
+drop trigger if exists post_tags_count_trigger on "PostTags";
+drop function if exists update_tag_post_count();
+alter table "Tags" drop column if exists post_count;
+
+-- Posts with any of the tags, or with match_all every one of them. Slugs
+-- are distinct, so an unknown tag can never be matched in full.
+create or replace function tagged_posts(tag_slugs text[], match_all boolean default false)
+returns setof "Posts" as $$
+  select p.*
+  from "Posts" p
+  where p.id in (
+    select pt.post_id
+    from "PostTags" pt
+    join "Tags" t on t.id = pt.tag_id
+    where t.slug = any(tag_slugs)
+    group by pt.post_id
+    having not match_all or count(*) = cardinality(tag_slugs)
+  );
+$$ language sql stable;
+
+drop function if exists search_posts(text, integer, integer, bigint[]);
+
+-- search_query is tsquery syntax built by search.js, e.g. "(hello <-> world) & node:*"
+create or replace function search_posts(
+  search_query text,
+  result_limit integer default 10,
+  result_offset integer default 0,
+  only_ids bigint[] default null,
+  tag_slugs text[] default null,
+  match_all boolean default false
+)
+returns table (id bigint, rank real, snippet text, total_count bigint)
+language sql stable as $$
+  with q as (
+    -- Terms are joined with " & " at the top level and contain only [a-z0-9],
+    -- so swapping the operator gives "any term"
+    select
+      to_tsquery('english', search_query) as query,
+      to_tsquery('english', replace(search_query, ' & ', ' | ')) as any_term
+  ),
+  -- A post matching the whole query across its text and its author's name
+  -- matches at least one term in its own text, or has an author whose name
+  -- does. Both lookups use an index; only these candidates are checked fully.
+  candidates as (
+    select p.id
+    from "Posts" p
+    cross join q
+    where p.search_vector @@ q.any_term
+    union
+    select p.id
+    from "Users" u
+    cross join q
+    join "Posts" p on p.user_id = u.id
+    where to_tsvector('english', coalesce(u.name, '')) @@ q.any_term
+  ),
+  matches as (
+    select
+      p.id,
+      p.body,
+      ts_rank_cd(d.document, q.query) as rank
+    from candidates c
+    join "Posts" p on p.id = c.id
+    left join "Users" u on u.id = p.user_id
+    cross join q
+    cross join lateral (
+      select p.search_vector || setweight(to_tsvector('english', coalesce(u.name, '')), 'C') as document
+    ) d
+    where d.document @@ q.query
+      and p.status in ('published', 'scheduled')
+      and p.publish_at <= now()
+      and (only_ids is null or p.id = any(only_ids))
+      and (tag_slugs is null or p.id in (select t.id from tagged_posts(tag_slugs, match_all) t))
+  )
+  select
+    m.id,
+    m.rank,
+    -- Escape the body first; only the <mark> tags in snippets are markup
+    ts_headline(
+      'english',
+      replace(replace(replace(m.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) as snippet,
+    count(*) over () as total_count
+  from matches m
+  cross join q
+  order by m.rank desc, m.id desc
+  limit result_limit offset result_offset;
+$$;
@@ -0,0 +1,80 @@
+-- Run in the Supabase SQL editor.
+-- search_posts takes the author, date and edited filters of GET /posts as
+-- arguments, instead of a list of post ids collected beforehand.
+
+drop function if exists search_posts(text, integer, integer, bigint[], text[], boolean);
+
+-- search_query is tsquery syntax built by search.js, e.g. "(hello <-> world) & node:*"
+create or replace function search_posts(
+  search_query text,
+  result_limit integer default 10,
+  result_offset integer default 0,
+  tag_slugs text[] default null,
+  match_all boolean default false,
+  author_id bigint default null,
+  published_from timestamptz default null,
+  published_to timestamptz default null,
+  edited boolean default null
+)
+returns table (id bigint, rank real, snippet text, total_count bigint)
+language sql stable as $$
+  with q as (
+    -- Terms are joined with " & " at the top level and contain only [a-z0-9],
+    -- so swapping the operator gives "any term"
+    select
+      to_tsquery('english', search_query) as query,
+      to_tsquery('english', replace(search_query, ' & ', ' | ')) as any_term
+  ),
+  -- A post matching the whole query across its text and its author's name
+  -- matches at least one term in its own text, or has an author whose name
+  -- does. Both lookups use an index; only these candidates are checked fully.
+  candidates as (
+    select p.id
+    from "Posts" p
+    cross join q
+    where p.search_vector @@ q.any_term
+    union
+    select p.id
+    from "Users" u
+    cross join q
+    join "Posts" p on p.user_id = u.id
+    where to_tsvector('english', coalesce(u.name, '')) @@ q.any_term
+  ),
+  matches as (
+    select
+      p.id,
+      p.body,
+      ts_rank_cd(d.document, q.query) as rank
+    from candidates c
+    join "Posts" p on p.id = c.id
+    left join "Users" u on u.id = p.user_id
+    cross join q
+    cross join lateral (
+      select p.search_vector || setweight(to_tsvector('english', coalesce(u.name, '')), 'C') as document
+    ) d
+    where d.document @@ q.query
+      and p.status in ('published', 'scheduled')
+      and p.publish_at <= now()
+      -- The listing's other filters; null means not filtered
+      and (tag_slugs is null or p.id in (select t.id from tagged_posts(tag_slugs, match_all) t))
+      and (author_id is null or p.user_id = author_id)
+      and (published_from is null or p.publish_at >= published_from)
+      and (published_to is null or p.publish_at <= published_to)
+      and (edited is null or (p.edited_at is not null) = edited)
+  )
+  select
+    m.id,
+    m.rank,
+    -- Escape the body first; only the <mark> tags in snippets are markup
+    ts_headline(
+      'english',
+      replace(replace(replace(m.body, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+      q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+    ) as snippet,
+    count(*) over () as total_count
+  from matches m
+  cross join q
+  order by m.rank desc, m.id desc
+  limit result_limit offset result_offset;
+$$;
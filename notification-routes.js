@@ -0,0 +1,146 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateSession } from "./auth.js";
+import {
+  NOTIFICATION_FIELDS,
+  notificationPreferences,
+  parsePreferences,
+  presentNotifications,
+  unreadNotificationCount,
+} from "./notifications.js";
+
+const router = express.Router();
+
+router.get("/notifications", authenticateSession, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 20;
+    if (page < 1) {
+      page = 1;
+    }
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    let query = supabase
+      .from("Notifications")
+      .select(NOTIFICATION_FIELDS, { count: "exact" })
+      .eq("user_id", req.user.id)
+      .order("updated_at", { ascending: false })
+      .order("id", { ascending: false });
+
+    if (req.query.unread === "true") {
+      query = query.is("read_at", null);
+    }
+    const { data: notifications, count, error } = await query.range(start, end);
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching notifications", error });
+    }
+    res.json({
+      notifications: await presentNotifications(notifications),
+      unreadCount: await unreadNotificationCount(req.user.id),
+      totalNotifications: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "notifications fetch failed on server" });
+  }
+});
+
+// Cheap enough to poll for a badge
+router.get("/notifications/unread-count", authenticateSession, async (req, res) => {
+  try {
+    res.json({ unreadCount: await unreadNotificationCount(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.get("/notifications/preferences", authenticateSession, async (req, res) => {
+  try {
+    res.json({ preferences: await notificationPreferences(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.put("/notifications/preferences", authenticateSession, async (req, res) => {
+  const { preferences, error: validationError } = parsePreferences(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    const current = await notificationPreferences(req.user.id);
+    const { error } = await supabase
+      .from("Users")
+      .update({ notification_preferences: { ...current, ...preferences } })
+      .eq("id", req.user.id);
+
+    if (error) {
+      return res.status(500).json({ message: "error updating notification preferences", error });
+    }
+    res.json({ preferences: { ...current, ...preferences } });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.post("/notifications/read-all", authenticateSession, async (req, res) => {
+  try {
+    const { data: updated, error } = await supabase
+      .from("Notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.user.id)
+      .is("read_at", null)
+      .select("id");
+
+    if (error) {
+      return res.status(500).json({ message: "error marking notifications read", error });
+    }
+    res.json({ message: "notifications marked read", updated: updated.length, unreadCount: 0 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.post("/notifications/:id/read", authenticateSession, async (req, res) => {
+  try {
+    const { data: notification } = await supabase
+      .from("Notifications")
+      .select("id, read_at")
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+
+    if (!notification) {
+      return res.status(404).json({ message: "notification not found" });
+    }
+
+    // Marking a read notification again keeps the original read time
+    if (!notification.read_at) {
+      const { error } = await supabase
+        .from("Notifications")
+        .update({ read_at: new Date().toISOString() })
+        .eq("id", notification.id);
+
+      if (error) {
+        return res.status(500).json({ message: "error marking notification read", error });
+      }
+    }
+    res.json({ message: "notification marked read", unreadCount: await unreadNotificationCount(req.user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,155 @@
+import { supabase } from "./db.js";
+import { publishEvent } from "./events.js";
+
+export const NOTIFICATION_TYPES = ["comment", "reply", "reaction", "follow"];
+
+export const NOTIFICATION_FIELDS = `
+  id,
+  type,
+  actor_ids,
+  actor_count,
+  comment_id,
+  read_at,
+  created_at,
+  updated_at,
+  Posts (
+    id,
+    slug,
+    title
+  )
+`;
+
+const ACTIONS = {
+  comment: "commented on your post",
+  reply: "replied to your comment",
+  reaction: "reacted to your post",
+  follow: "followed you",
+};
+
+// Bursts of the same event collapse into one notification per group
+function groupKey(type, postId, parentCommentId) {
+  if (type === "reply") {
+    return `reply:${parentCommentId}`;
+  }
+  return type === "follow" ? "follow" : `${type}:${postId}`;
+}
+
+// Records a notification for userId and pushes it to their event stream.
+// Never throws: a failed notification shouldn't fail the comment, reaction
+// or follow that caused it.
+export async function notify({ userId, actorId, type, postId = null, commentId = null, parentCommentId = null }) {
+  try {
+    const { data: notificationId, error } = await supabase.rpc("add_notification", {
+      recipient_id: userId,
+      actor_id: actorId,
+      notification_type: type,
+      notification_group: groupKey(type, postId, parentCommentId),
+      notification_post_id: postId,
+      notification_comment_id: commentId,
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    // Skipped for self-notifications and types the user turned off
+    if (notificationId) {
+      const { data: notification, error: fetchError } = await supabase
+        .from("Notifications")
+        .select(NOTIFICATION_FIELDS)
+        .eq("id", notificationId)
+        .single();
+      if (fetchError) {
+        throw new Error(fetchError.message);
+      }
+
+      const [presented] = await presentNotifications([notification]);
+      publishEvent("notification", {
+        notification: presented,
+        unreadCount: await unreadNotificationCount(userId),
+      }, userId);
+    }
+  } catch (err) {
+    console.error("Error creating notification:", err);
+  }
+}
+
+export function summarizeNotification(type, actorNames, actorCount) {
+  const [first = "Someone", second] = actorNames;
+  let who = first;
+  if (actorCount === 2 && second) {
+    who = `${first} and ${second}`;
+  } else if (actorCount > 1) {
+    const others = actorCount - 1;
+    who = `${first} and ${others} other${others > 1 ? "s" : ""}`;
+  }
+  return `${who} ${ACTIONS[type]}`;
+}
+
+// Adds the first few actors and a summary line to each notification
+export async function presentNotifications(notifications) {
+  const actorIds = new Set(notifications.flatMap((n) => n.actor_ids.slice(0, 2)));
+
+  let actors = new Map();
+  if (actorIds.size > 0) {
+    const { data, error } = await supabase
+      .from("Users")
+      .select("id, name, handle, avatar_url")
+      .in("id", Array.from(actorIds));
+    if (error) {
+      throw new Error(`error fetching actors: ${error.message}`);
+    }
+    actors = new Map(data.map((user) => [user.id, user]));
+  }
+
+  return notifications.map(({ actor_ids: ids, ...notification }) => {
+    const shown = ids.slice(0, 2).map((id) => actors.get(id)).filter(Boolean);
+    return {
+      ...notification,
+      read: !!notification.read_at,
+      actors: shown,
+      summary: summarizeNotification(notification.type, shown.map((user) => user.name), notification.actor_count),
+    };
+  });
+}
+
+export async function unreadNotificationCount(userId) {
+  const { count, error } = await supabase
+    .from("Notifications")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("read_at", null);
+  if (error) {
+    throw new Error(`error counting notifications: ${error.message}`);
+  }
+  return count || 0;
+}
+
+export async function notificationPreferences(userId) {
+  const { data, error } = await supabase
+    .from("Users")
+    .select("notification_preferences")
+    .eq("id", userId)
+    .single();
+  if (error) {
+    throw new Error(`error fetching notification preferences: ${error.message}`);
+  }
+  const stored = data.notification_preferences || {};
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, stored[type] !== false]));
+}
+
+// Validates a preferences update: known types mapped to booleans
+export function parsePreferences(body) {
+  const entries = Object.entries(body || {});
+  if (entries.length === 0) {
+    return { error: `send one or more of: ${NOTIFICATION_TYPES.join(", ")}` };
+  }
+  for (const [type, enabled] of entries) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return { error: `unknown notification type: ${type}. Types are ${NOTIFICATION_TYPES.join(", ")}` };
+    }
+    if (typeof enabled !== "boolean") {
+      return { error: `${type} must be true or false` };
+    }
+  }
+  return { preferences: Object.fromEntries(entries) };
+}
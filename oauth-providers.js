@@ -0,0 +1,253 @@
+import OAuth2Strategy from "passport-oauth2";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import dotenv from "dotenv";
+import { consumeOAuthLink, findOrCreateOAuthUser } from "./identities.js";
+
+dotenv.config();
+
+// Configured providers by route name, e.g. "google" -> /auth/google
+const providers = new Map();
+
+// Provider configs from env. Generic OpenID Connect providers are listed in
+// OIDC_PROVIDERS (comma separated) and read from OIDC_<NAME>_ISSUER,
+// OIDC_<NAME>_CLIENT_ID, OIDC_<NAME>_CLIENT_SECRET and optional OIDC_<NAME>_LABEL.
+export function providerConfigFromEnv(env = process.env) {
+  const configs = [];
+
+  if (env.GOOGLE_CLIENT_ID) {
+    configs.push({
+      name: "google",
+      type: "google",
+      label: "Google",
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+    });
+  }
+
+  if (env.GITHUB_CLIENT_ID) {
+    configs.push({
+      name: "github",
+      type: "github",
+      label: "GitHub",
+      clientId: env.GITHUB_CLIENT_ID,
+      clientSecret: env.GITHUB_CLIENT_SECRET,
+    });
+  }
+
+  if (env.MICROSOFT_CLIENT_ID) {
+    configs.push({
+      name: "microsoft",
+      type: "oidc",
+      label: "Microsoft",
+      issuer: `https://login.microsoftonline.com/${env.MICROSOFT_TENANT || "common"}/v2.0`,
+      clientId: env.MICROSOFT_CLIENT_ID,
+      clientSecret: env.MICROSOFT_CLIENT_SECRET,
+    });
+  }
+
+  for (const name of (env.OIDC_PROVIDERS || "").split(",").map((n) => n.trim()).filter(Boolean)) {
+    const prefix = `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+    configs.push({
+      name: name.toLowerCase(),
+      type: "oidc",
+      label: env[`${prefix}_LABEL`] || name,
+      issuer: env[`${prefix}_ISSUER`],
+      clientId: env[`${prefix}_CLIENT_ID`],
+      clientSecret: env[`${prefix}_CLIENT_SECRET`],
+      scope: env[`${prefix}_SCOPE`] ? env[`${prefix}_SCOPE`].split(" ") : undefined,
+    });
+  }
+
+  return configs;
+}
+
+async function fetchJson(url, accessToken) {
+  const response = await fetch(url, {
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${accessToken}`,
+      "User-Agent": "blog-backend",
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return response.json();
+}
+
+// passport-oauth2 with the profile loaded by a provider-specific function
+class UserInfoStrategy extends OAuth2Strategy {
+  constructor(options, verify) {
+    super(options, verify);
+    this.name = options.name;
+    this._loadProfile = options.loadProfile;
+  }
+
+  userProfile(accessToken, done) {
+    this._loadProfile(accessToken).then((profile) => done(null, profile), done);
+  }
+}
+
+async function loadGithubProfile(accessToken) {
+  const user = await fetchJson("https://api.github.com/user", accessToken);
+  let email = user.email;
+  let emailVerified = false;
+
+  // The public profile email is optional; fall back to the primary verified one
+  const emails = await fetchJson("https://api.github.com/user/emails", accessToken).catch(() => []);
+  const primary = emails.find((entry) => entry.primary && entry.verified);
+  if (primary) {
+    email = primary.email;
+    emailVerified = true;
+  }
+
+  return {
+    subject: String(user.id),
+    email,
+    emailVerified,
+    name: user.name || user.login,
+  };
+}
+
+async function discoverIssuer(issuer) {
+  const response = await fetch(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  if (!response.ok) {
+    throw new Error(`OIDC discovery for ${issuer} failed with ${response.status}`);
+  }
+  return response.json();
+}
+
+// Every provider funnels into the same find-or-create logic
+function verifyWith(providerName) {
+  return async (req, accessToken, refreshToken, profile, done) => {
+    try {
+      if (!profile.subject) {
+        return done(new Error(`No subject in ${providerName} profile`), null);
+      }
+
+      const result = await findOrCreateOAuthUser({
+        provider: providerName,
+        subject: profile.subject,
+        email: profile.email,
+        name: profile.name || profile.email || providerName,
+        emailVerified: profile.emailVerified,
+        linkUserId: consumeOAuthLink(req),
+      });
+
+      if (result.error) {
+        return done(null, false, { message: result.error });
+      }
+
+      return done(null, result.user, { linked: result.linked });
+    } catch (error) {
+      console.error(`Error in ${providerName} OAuth strategy:`, error);
+      return done(error, null);
+    }
+  };
+}
+
+async function createStrategy(config) {
+  const callbackURL = config.callbackURL || `${process.env.BACKEND_URL}/auth/${config.name}/callback`;
+
+  if (config.type === "google") {
+    const verify = verifyWith(config.name);
+    return {
+      scope: ["profile", "email"],
+      strategy: new GoogleStrategy(
+        {
+          clientID: config.clientId,
+          clientSecret: config.clientSecret,
+          callbackURL,
+          state: true,
+          passReqToCallback: true,
+        },
+        (req, accessToken, refreshToken, profile, done) =>
+          verify(req, accessToken, refreshToken, {
+            subject: profile.id,
+            email: profile.emails && profile.emails[0]?.value,
+            emailVerified: profile.emails && profile.emails[0]?.verified !== false,
+            name: profile.displayName || `${profile.name?.givenName || ""} ${profile.name?.familyName || ""}`.trim(),
+          }, done)
+      ),
+    };
+  }
+
+  if (config.type === "github") {
+    return {
+      scope: ["read:user", "user:email"],
+      strategy: new UserInfoStrategy(
+        {
+          name: config.name,
+          authorizationURL: "https://github.com/login/oauth/authorize",
+          tokenURL: "https://github.com/login/oauth/access_token",
+          clientID: config.clientId,
+          clientSecret: config.clientSecret,
+          callbackURL,
+          state: true,
+          passReqToCallback: true,
+          loadProfile: loadGithubProfile,
+        },
+        verifyWith(config.name)
+      ),
+    };
+  }
+
+  if (config.type === "oidc") {
+    if (!config.issuer) {
+      throw new Error(`OIDC provider ${config.name} has no issuer configured`);
+    }
+
+    const discovery = await discoverIssuer(config.issuer);
+    return {
+      scope: config.scope || ["openid", "profile", "email"],
+      strategy: new UserInfoStrategy(
+        {
+          name: config.name,
+          authorizationURL: discovery.authorization_endpoint,
+          tokenURL: discovery.token_endpoint,
+          clientID: config.clientId,
+          clientSecret: config.clientSecret,
+          callbackURL,
+          state: true,
+          pkce: true,
+          passReqToCallback: true,
+          loadProfile: async (accessToken) => {
+            const claims = await fetchJson(discovery.userinfo_endpoint, accessToken);
+            return {
+              subject: claims.sub,
+              email: claims.email,
+              emailVerified: claims.email_verified === true,
+              name: claims.name || claims.preferred_username,
+            };
+          },
+        },
+        verifyWith(config.name)
+      ),
+    };
+  }
+
+  throw new Error(`Unknown OAuth provider type: ${config.type}`);
+}
+
+// Registers a passport strategy per provider. One misconfigured provider is
+// logged and skipped rather than taking the others down.
+export async function registerOAuthProviders(passport, configs = providerConfigFromEnv()) {
+  for (const config of configs) {
+    try {
+      const { strategy, scope } = await createStrategy(config);
+      passport.use(config.name, strategy);
+      providers.set(config.name, { name: config.name, label: config.label, scope });
+    } catch (error) {
+      console.error(`Failed to register OAuth provider ${config.name}:`, error.message);
+    }
+  }
+}
+
+export function getOAuthProvider(name) {
+  return providers.get(name);
+}
+
+export function listOAuthProviders() {
+  return Array.from(providers.values()).map(({ name, label }) => ({ name, label }));
+}
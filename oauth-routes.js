@@ -0,0 +1,92 @@
+import express from "express";
+import passport, { oauthProvidersReady } from "./passport-config.js";
+import { authenticateSession, generateTokenAndSetCookie } from "./auth.js";
+import { startOAuthLink } from "./identities.js";
+import { issueMfaToken } from "./mfa-routes.js";
+import { getOAuthProvider, listOAuthProviders } from "./oauth-providers.js";
+
+const router = express.Router();
+
+// Falls through to the other /auth/* routes when no provider has this name
+async function ensureProvider(req, res, next) {
+  await oauthProvidersReady;
+  const provider = getOAuthProvider(req.params.provider);
+  if (!provider) {
+    return next("route");
+  }
+  req.oauthProvider = provider;
+  next();
+}
+
+function startAuthentication(req, res, next) {
+  const { name, scope } = req.oauthProvider;
+  passport.authenticate(name, { scope, session: false })(req, res, next);
+}
+
+function handleCallback(req, res, next) {
+  const { name } = req.oauthProvider;
+  passport.authenticate(name, { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
+    }
+    if (!user) {
+      const reason = (info && info.message) || "oauth_failed";
+      return res.redirect(`${process.env.FRONTEND_URL}/login?error=${encodeURIComponent(reason)}`);
+    }
+    if (info && info.linked) {
+      return res.redirect(`${process.env.FRONTEND_URL}/settings?linked=${encodeURIComponent(name)}`);
+    }
+    req.user = user;
+    next();
+  })(req, res, next);
+}
+
+async function completeOAuthLogin(req, res) {
+  const { name } = req.oauthProvider;
+  try {
+    console.log(`${name} OAuth callback - user:`, req.user.email);
+
+    // Two-factor accounts still have to enter a code after signing in with a provider
+    if (req.user.totp_enabled_at) {
+      return res.redirect(
+        `${process.env.FRONTEND_URL}/auth/callback?mfaRequired=true&mfaToken=${encodeURIComponent(issueMfaToken(req.user))}`
+      );
+    }
+
+    // Generate token and set cookie with enhanced settings
+    const { token } = await generateTokenAndSetCookie(req.user, res);
+
+    // Add a small delay to ensure cookie is properly set
+    setTimeout(() => {
+      // Also pass the token as a URL parameter as a fallback
+      res.redirect(`${process.env.FRONTEND_URL}/auth/callback?success=true&token=${encodeURIComponent(token)}`);
+    }, 100);
+  } catch (error) {
+    console.error(`Error in ${name} OAuth callback:`, error);
+    console.error("Error stack:", error.stack);
+
+    // More specific error handling
+    if (error.message && error.message.includes("migration required")) {
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=migration_required`);
+    } else if (error.message && error.message.includes("duplicate")) {
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=account_exists`);
+    } else {
+      res.redirect(`${process.env.FRONTEND_URL}/login?error=oauth_callback_failed&details=${encodeURIComponent(error.message)}`);
+    }
+  }
+}
+
+// Lets the frontend render a button per configured provider
+router.get("/auth/providers", async (req, res) => {
+  await oauthProvidersReady;
+  res.json({ providers: listOAuthProviders() });
+});
+
+router.get("/auth/:provider", ensureProvider, startAuthentication);
+
+// Starts the provider flow for a logged-in user who wants to link their account
+router.get("/auth/:provider/link", ensureProvider, authenticateSession, startOAuthLink, startAuthentication);
+
+router.get("/auth/:provider/callback", ensureProvider, handleCallback, completeOAuthLogin);
+
+export default router;
@@ -0,0 +1,143 @@
+import express from "express";
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { supabase } from "./db.js";
+import { authenticateSession, hashToken, revokeAllApiKeys, revokeAllSessions } from "./auth.js";
+import { sendMail } from "./mailer.js";
+
+const router = express.Router();
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+router.post("/auth/password/forgot", async (req, res) => {
+  const email = req.body?.email;
+  if (!email) {
+    return res.status(400).json({ message: "email is required" });
+  }
+
+  // Same response whether or not the account exists
+  const response = { message: "If that account exists, a reset link has been sent" };
+
+  try {
+    const { data: user } = await supabase
+      .from("Users")
+      .select("id, email")
+      .eq("email", email)
+      .maybeSingle();
+
+    if (!user) {
+      return res.status(200).json(response);
+    }
+
+    // Only the most recent link stays usable
+    await supabase
+      .from("PasswordResetTokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("user_id", user.id)
+      .is("used_at", null);
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const { error } = await supabase.from("PasswordResetTokens").insert([
+      {
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+      },
+    ]);
+
+    if (error) {
+      console.error("Error storing reset token:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.\n\n` +
+        `${process.env.FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}\n\n` +
+        "If you did not ask for this, you can ignore this email.",
+    });
+
+    res.status(200).json(response);
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.post("/auth/password/reset", async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    return res.status(400).json({ message: "token and password are required" });
+  }
+
+  try {
+    // Claiming the token and checking it in one update keeps it single-use
+    const { data: claimed, error } = await supabase
+      .from("PasswordResetTokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("token_hash", hashToken(token))
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error || !claimed) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const { error: updateError } = await supabase
+      .from("Users")
+      .update({ password: hashedPassword })
+      .eq("id", claimed.user_id);
+
+    if (updateError) {
+      console.error("Error updating password:", updateError);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    await revokeAllSessions(claimed.user_id);
+    await revokeAllApiKeys(claimed.user_id);
+
+    res.status(200).json({ message: "Password has been reset" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// Lets an OAuth-only account add a password login
+router.post("/auth/password/set", authenticateSession, async (req, res) => {
+  const password = req.body?.password;
+  if (!password) {
+    return res.status(400).json({ message: "password is required" });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const { data: updated, error } = await supabase
+      .from("Users")
+      .update({ password: hashedPassword })
+      .eq("id", req.user.id)
+      .is("password", null)
+      .select("id");
+
+    if (error) {
+      console.error("Error setting password:", error);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    if (!updated || updated.length === 0) {
+      return res.status(400).json({ message: "This account already has a password" });
+    }
+
+    res.status(200).json({ message: "Password set" });
+  } catch (err) {
+    console.error("Set password error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+// Scopes an API key can be granted. Browser sessions are not scope-limited.
+export const API_KEY_SCOPES = ["posts:write", "comments:write", "reactions:write"];
+
+// Roles are stored on Users.role and copied into the access token's claims
+export const ROLES = ["user", "moderator", "admin"];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ["posts:moderate"],
+  admin: ["posts:moderate", "users:manage"],
+};
+
+// Tokens issued before roles existed carry no role claim
+export function roleOf(user) {
+  return (user && user.role) || "user";
+}
+
+export function hasPermission(user, permission) {
+  return (ROLE_PERMISSIONS[roleOf(user)] || []).includes(permission);
+}
+
+// Use after authenticateToken
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(roleOf(req.user))) {
+      return res.status(403).json({ message: "You do not have permission to do that" });
+    }
+    next();
+  };
+}
+
+// Use after authenticateToken
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ message: "You do not have permission to do that" });
+    }
+    next();
+  };
+}
+
+// Use after authenticateToken; only restricts API key requests
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.user && req.user.apiKeyId && !req.user.scopes.includes(scope)) {
+      return res.status(403).json({ message: `API key is missing the ${scope} scope` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,4 @@
+// Columns of "Posts" that responses and events carry. search_vector is left
+// out: it only exists for the full-text index.
+export const POST_COLUMNS =
+  "id, user_id, title, body, slug, status, publish_at, created_at, edited_at, comment_count, reaction_counts, reaction_total";
@@ -0,0 +1,171 @@
+import { parseSearchQuery } from "./search.js";
+import { tagSlugsFromQuery } from "./tags.js";
+
+// Column order for each sort. publish_at and id break ties so pages are stable.
+const SORTS = {
+  newest: [["publish_at", false], ["id", false]],
+  oldest: [["publish_at", true], ["id", true]],
+  updated: [["edited_at", false], ["publish_at", false], ["id", false]],
+  title: [["title", true], ["id", true]],
+  comments: [["comment_count", false], ["publish_at", false], ["id", false]],
+  popular: [["reaction_total", false], ["publish_at", false], ["id", false]],
+};
+
+// "latest" was the name of the default order before the others existed
+const SORT_ALIASES = { latest: "newest" };
+
+export const LISTING_SORTS = [...Object.keys(SORTS), "relevance"];
+
+const LISTING_PARAMS = [
+  "page",
+  "limit",
+  "search",
+  "sort",
+  "tag",
+  "tagMatch",
+  "after",
+  "before",
+  "author",
+  "from",
+  "to",
+  "edited",
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date rolls days that don't exist forward, e.g. 2024-02-30 to March 1st
+function isCalendarDay(day) {
+  const date = new Date(day);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+}
+
+// A bare date for "to" covers the whole of that day
+function parseDate(value, endOfDay = false) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  const day = value.match(/^\d{4}-\d{2}-\d{2}/)?.[0];
+  if (day && !isCalendarDay(day)) {
+    return null;
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+// Validates GET /posts query parameters. Returns { options } or { error }
+// with a message suitable for a 400 response.
+export function parseListingQuery(query) {
+  const unknown = Object.keys(query).filter((key) => !LISTING_PARAMS.includes(key));
+  if (unknown.length > 0) {
+    return {
+      error: `unknown query parameter${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}. ` +
+        `Supported parameters are ${LISTING_PARAMS.join(", ")}`,
+    };
+  }
+
+  const repeated = LISTING_PARAMS.filter((key) => key !== "tag" && Array.isArray(query[key]));
+  if (repeated.length > 0) {
+    return { error: `${repeated[0]} can only be given once` };
+  }
+
+  let page = parseInt(query.page) || 1;
+  let limit = parseInt(query.limit) || 10;
+  if (page < 1) {
+    page = 1;
+  }
+  limit = Math.min(Math.max(limit, 1), 100);
+
+  const search = parseSearchQuery(query.search).length > 0 ? query.search : "";
+
+  let sort = query.sort ? SORT_ALIASES[query.sort] || query.sort : search ? "relevance" : "newest";
+  if (!LISTING_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${LISTING_SORTS.join(", ")}` };
+  }
+  if ((sort === "relevance") !== Boolean(search)) {
+    return {
+      error: search
+        ? "search results are always sorted by relevance"
+        : "sort=relevance needs a search",
+    };
+  }
+
+  const tagMatch = query.tagMatch || "any";
+  if (!["any", "all"].includes(tagMatch)) {
+    return { error: "tagMatch must be any or all" };
+  }
+
+  let author = null;
+  if (query.author !== undefined) {
+    if (!/^\d+$/.test(query.author)) {
+      return { error: "author must be a user id" };
+    }
+    author = Number(query.author);
+  }
+
+  const from = query.from !== undefined ? parseDate(query.from) : null;
+  if (query.from !== undefined && !from) {
+    return { error: "from must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z" };
+  }
+  const to = query.to !== undefined ? parseDate(query.to, true) : null;
+  if (query.to !== undefined && !to) {
+    return { error: "to must be a date, e.g. 2024-01-31 or 2024-01-31T12:00:00Z" };
+  }
+  if (from && to && from > to) {
+    return { error: "from must be before to" };
+  }
+
+  let edited = null;
+  if (query.edited !== undefined) {
+    if (!["true", "false"].includes(query.edited)) {
+      return { error: "edited must be true or false" };
+    }
+    edited = query.edited === "true";
+  }
+
+  return {
+    options: {
+      page,
+      limit,
+      search,
+      sort,
+      tagSlugs: tagSlugsFromQuery(query.tag),
+      tagMatch,
+      after: query.after || null,
+      before: query.before || null,
+      author,
+      from,
+      to,
+      edited,
+    },
+  };
+}
+
+export function applyListingFilters(query, options) {
+  if (options.author !== null) {
+    query = query.eq("user_id", options.author);
+  }
+  if (options.from) {
+    query = query.gte("publish_at", options.from.toISOString());
+  }
+  if (options.to) {
+    query = query.lte("publish_at", options.to.toISOString());
+  }
+  if (options.edited !== null) {
+    query = options.edited ? query.not("edited_at", "is", null) : query.is("edited_at", null);
+  }
+  return query;
+}
+
+export function applyListingSort(query, sort) {
+  for (const [column, ascending] of SORTS[sort]) {
+    query = query.order(column, { ascending, nullsFirst: false });
+  }
+  return query;
+}
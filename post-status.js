@@ -0,0 +1,117 @@
+import { supabase } from "./db.js";
+import { hasPermission } from "./permissions.js";
+import { publishPostEvent } from "./events.js";
+import { POST_COLUMNS } from "./post-columns.js";
+
+export const POST_STATUSES = ["draft", "published", "scheduled", "archived"];
+
+// Published posts carry the time they went live in publish_at; scheduled
+// posts carry the time they will. Either way a post is public once
+// publish_at has passed, so scheduled posts appear without any job running.
+export function isPubliclyVisible(post, now = new Date()) {
+  return (
+    (post.status === "published" || post.status === "scheduled") &&
+    !!post.publish_at &&
+    new Date(post.publish_at) <= now
+  );
+}
+
+export function onlyPubliclyVisible(query) {
+  return query
+    .in("status", ["published", "scheduled"])
+    .lte("publish_at", new Date().toISOString());
+}
+
+// Authors and moderators can still reach posts that aren't public
+export function canViewPost(post, user) {
+  if (isPubliclyVisible(post)) {
+    return true;
+  }
+  return !!user && (post.user_id === user.id || hasPermission(user, "posts:moderate"));
+}
+
+// Works out the status columns to write from a create/update body. Returns
+// { fields }, or { error } for an invalid combination. current is the stored
+// post when updating.
+export function statusFields(body, current = null) {
+  const status = body.status ?? (current ? undefined : "published");
+  const publishAt = body.publish_at;
+
+  if (status === undefined) {
+    if (publishAt !== undefined && current?.status !== "scheduled") {
+      return { error: "publish_at can only be set on scheduled posts" };
+    }
+    if (publishAt === undefined) {
+      return { fields: {} };
+    }
+  }
+
+  const nextStatus = status ?? current.status;
+  if (!POST_STATUSES.includes(nextStatus)) {
+    return { error: `status must be one of: ${POST_STATUSES.join(", ")}` };
+  }
+
+  if (nextStatus === "scheduled") {
+    const when = new Date(publishAt ?? current?.publish_at);
+    if (publishAt === undefined && current?.status !== "scheduled") {
+      return { error: "publish_at is required for scheduled posts" };
+    }
+    if (Number.isNaN(when.getTime())) {
+      return { error: "publish_at must be a valid date" };
+    }
+    if (when <= new Date()) {
+      return { error: "publish_at must be in the future" };
+    }
+    return { fields: { status: nextStatus, publish_at: when.toISOString() } };
+  }
+
+  if (publishAt !== undefined) {
+    return { error: "publish_at can only be set on scheduled posts" };
+  }
+
+  if (nextStatus === "published") {
+    // Re-publishing an archived post keeps its original date
+    const keepDate = current && current.status === "archived" && current.publish_at;
+    if (current && isPubliclyVisible(current)) {
+      return { fields: { status: nextStatus } };
+    }
+    return {
+      fields: {
+        status: nextStatus,
+        publish_at: keepDate ? current.publish_at : new Date().toISOString(),
+      },
+    };
+  }
+
+  if (nextStatus === "draft") {
+    return { fields: { status: nextStatus, publish_at: null } };
+  }
+
+  return { fields: { status: nextStatus } };
+}
+
+// Scheduled posts are already public once due; this just brings the stored
+// status in line, at most once a minute. That is also when clients listening
+// for events hear about them.
+const PROMOTE_INTERVAL_MS = 60 * 1000;
+let lastPromotedAt = 0;
+
+export async function publishDuePosts() {
+  if (Date.now() - lastPromotedAt < PROMOTE_INTERVAL_MS) {
+    return;
+  }
+  lastPromotedAt = Date.now();
+
+  const { data: promoted, error } = await supabase
+    .from("Posts")
+    .update({ status: "published" })
+    .eq("status", "scheduled")
+    .lte("publish_at", new Date().toISOString())
+    .select(POST_COLUMNS);
+
+  if (error) {
+    console.error("Error publishing scheduled posts:", error.message);
+    return;
+  }
+  promoted.forEach((post) => publishPostEvent("post.created", post));
+}
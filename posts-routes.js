@@ -0,0 +1,400 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateToken, optionalAuthentication } from "./auth.js";
+import { hasPermission, requireScope } from "./permissions.js";
+import { requireVerifiedEmail } from "./verification-routes.js";
+import { withReactions } from "./reactions.js";
+import { withRenderedBody } from "./markdown.js";
+import { attachmentFilesForPosts, removeAttachmentFiles, withAttachments } from "./attachments.js";
+import { parseTags, selectTaggedPosts, setPostTags } from "./tags.js";
+import { contentChanged, recordRevision } from "./revisions.js";
+import { findPostIdByOldSlug, retirePostSlug, slugForTitleChange, uniquePostSlug } from "./slugs.js";
+import { searchPosts } from "./search.js";
+import { applyListingFilters, applyListingSort, parseListingQuery } from "./post-filters.js";
+import { applyCursor, cursorPage, decodeCursor, encodeCursor } from "./cursors.js";
+import { publishPostEvent } from "./events.js";
+import { POST_COLUMNS } from "./post-columns.js";
+import { POST_STATUSES, canViewPost, onlyPubliclyVisible, publishDuePosts, statusFields } from "./post-status.js";
+
+const router = express.Router();
+
+export const POST_FIELDS = `
+  ${POST_COLUMNS},
+  Users (
+    id,
+    name,
+    handle,
+    avatar_url
+  ),
+  Tags (
+    slug,
+    name
+  ),
+  Attachments (
+    id,
+    storage_driver,
+    storage_key,
+    thumbnail_key,
+    content_type,
+    size,
+    width,
+    height,
+    created_at
+  )
+`;
+
+// Reaction summaries, the rendered Markdown body and attachment links
+export async function presentPosts(posts, user) {
+  return (await withReactions(posts, user)).map((post) => withAttachments(withRenderedBody(post)));
+}
+
+// Posts matching the listing's tag filter, or all posts when there is none
+function selectListingPosts(columns, options, countOptions = {}) {
+  return options.tagSlugs.length > 0
+    ? selectTaggedPosts(options.tagSlugs, options.tagMatch, columns, countOptions)
+    : supabase.from("Posts").select(columns, countOptions);
+}
+
+// Public listing shared by GET /posts and author pages. Two ways to page:
+// ?page= with totals, or ?after= / ?before= cursors which stay stable while
+// new posts are published.
+export async function listPosts(req, res, listingQuery) {
+  try {
+    const { options, error: queryError } = parseListingQuery(listingQuery);
+    if (queryError) {
+      return res.status(400).json({ message: queryError });
+    }
+    const { page, limit, search, sort } = options;
+
+    const direction = options.after ? "after" : options.before ? "before" : null;
+    let cursor = null;
+    if (direction) {
+      if (options.after && options.before) {
+        return res.status(400).json({ message: "use either after or before, not both" });
+      }
+      if (sort !== "newest") {
+        return res
+          .status(400)
+          .json({ message: "cursor pagination is only available for the newest posts" });
+      }
+      cursor = decodeCursor(options[direction]);
+      if (!cursor) {
+        return res.status(400).json({ message: "invalid cursor" });
+      }
+    }
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    await publishDuePosts();
+
+    let query = applyListingFilters(
+      onlyPubliclyVisible(selectListingPosts(POST_FIELDS, options, cursor ? {} : { count: "exact" })),
+      options
+    );
+
+    // Search results come back in relevance order with a highlighted snippet
+    if (search) {
+      const { results, total } = await searchPosts(search, { limit, offset: start, filters: options });
+      const matches = new Map(results.map(({ id, rank, snippet }) => [id, { rank, snippet }]));
+
+      let posts = [];
+      if (results.length > 0) {
+        const { data, error } = await supabase
+          .from("Posts")
+          .select(POST_FIELDS)
+          .in("id", Array.from(matches.keys()));
+
+        if (error) {
+          return res.status(500).json({ message: "error fetching posts", error });
+        }
+        posts = data
+          .map((post) => ({ ...post, search: matches.get(post.id) }))
+          .sort((a, b) => b.search.rank - a.search.rank || b.id - a.id);
+      }
+
+      return res.json({
+        posts: await presentPosts(posts, req.user),
+        totalPosts: total,
+        totalPages: Math.ceil(total / limit),
+        currentPage: page,
+      });
+    }
+
+    if (cursor) {
+      // One extra row tells us whether there is another page in that direction
+      const { data: rows, error } = await applyCursor(query, cursor, direction).limit(limit + 1);
+
+      if (error) {
+        return res.status(500).json({ message: "error fetching posts", error });
+      }
+
+      const { posts, nextCursor, prevCursor } = cursorPage(rows, limit, direction);
+      return res.json({ posts: await presentPosts(posts, req.user), nextCursor, prevCursor });
+    }
+
+    query = applyListingSort(query, sort).range(start, end);
+    const { data: posts, count, error } = await query;
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching posts", error });
+    }
+
+    // Cursors let page-mode clients switch over from any page of the newest posts
+    const hasNext = start + posts.length < (count || 0);
+    res.json({
+      posts: await presentPosts(posts, req.user),
+      totalPosts: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+      nextCursor: sort === "newest" && hasNext ? encodeCursor(posts[posts.length - 1]) : null,
+      prevCursor: sort === "newest" && page > 1 && posts.length > 0 ? encodeCursor(posts[0]) : null,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "posts fetch failed on server" });
+  }
+}
+
+router.get("/posts", optionalAuthentication, (req, res) => listPosts(req, res, req.query));
+
+// The signed-in author's own posts in any state
+router.get("/me/posts", authenticateToken, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    if (page < 1) {
+      page = 1;
+    }
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    if (status && !POST_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json({ message: `status must be one of: ${POST_STATUSES.join(", ")}` });
+    }
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    await publishDuePosts();
+
+    let query = supabase
+      .from("Posts")
+      .select(POST_FIELDS, { count: "exact" })
+      .eq("user_id", req.user.id)
+      .order("created_at", { ascending: false });
+
+    if (status) {
+      query = query.eq("status", status);
+    }
+    const { data: posts, count, error } = await query.range(start, end);
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching posts", error });
+    }
+    res.json({
+      posts: await presentPosts(posts, req.user),
+      totalPosts: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "posts fetch failed on server" });
+  }
+});
+
+// Looks a post up by numeric id or by slug. Slugs a post had before a
+// rename redirect to the current one.
+router.get("/posts/:idOrSlug", optionalAuthentication, async (req, res) => {
+  const { idOrSlug } = req.params;
+  try {
+    const byId = /^\d+$/.test(idOrSlug);
+    const { data: post, error } = await supabase
+      .from("Posts")
+      .select(POST_FIELDS)
+      .eq(byId ? "id" : "slug", idOrSlug)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching post", error });
+    }
+
+    if (!post) {
+      const movedId = byId ? null : await findPostIdByOldSlug(idOrSlug);
+      if (movedId) {
+        const { data: moved } = await supabase
+          .from("Posts")
+          .select("slug, user_id, status, publish_at")
+          .eq("id", movedId)
+          .maybeSingle();
+        if (moved && canViewPost(moved, req.user)) {
+          return res.redirect(301, `/posts/${moved.slug}`);
+        }
+      }
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    if (!canViewPost(post, req.user)) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    const [withViewer] = await presentPosts([post], req.user);
+    res.json({ post: withViewer });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "post fetch failed on server" });
+  }
+});
+
+router.post("/posts", authenticateToken, requireScope("posts:write"), requireVerifiedEmail, async (req, res) => {
+  const { title, body } = req.body;
+  if (!title || !body) {
+    return res.status(400).json({ message: "title and body are required" });
+  }
+  const { tags, error: tagsError } = parseTags(req.body.tags);
+  if (tagsError) {
+    return res.status(400).json({ message: tagsError });
+  }
+  const { fields: status, error: statusError } = statusFields(req.body);
+  if (statusError) {
+    return res.status(400).json({ message: statusError });
+  }
+  try {
+    // Two posts with the same title created at once can race for a slug
+    let post;
+    let error;
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const slug = await uniquePostSlug(title);
+      ({ data: post, error } = await supabase
+        .from("Posts")
+        .insert([{ title, body, slug, user_id: req.user.id, ...status }])
+        .select(POST_COLUMNS)
+        .single());
+      if (error?.code !== "23505") {
+        break;
+      }
+    }
+    if (error) {
+      return res.status(500).json({ message: "error creating post", error });
+    }
+    post.Tags = await setPostTags(post.id, tags);
+    publishPostEvent("post.created", post);
+    res.status(201).json({ message: "post created successfully", post: withRenderedBody(post) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.put("/posts/:id", authenticateToken, requireScope("posts:write"), async (req, res) => {
+  const postId = req.params.id;
+  const { title, body } = req.body;
+  if (!title || !body) {
+    return res.status(400).json({ message: "title and body are required" });
+  }
+  // Tags are left alone unless the request sends them
+  const { tags, error: tagsError } = parseTags(req.body.tags);
+  if (tagsError) {
+    return res.status(400).json({ message: tagsError });
+  }
+  try {
+    const canModerate = hasPermission(req.user, "posts:moderate");
+    const { data: current } = await supabase
+      .from("Posts")
+      .select(POST_COLUMNS)
+      .eq("id", postId)
+      .maybeSingle();
+
+    // Moderators may edit anyone's post
+    if (!current || (current.user_id !== req.user.id && !canModerate)) {
+      return res
+        .status(400)
+        .json({
+          message: "Not authorized to update this post or post not found",
+        });
+    }
+
+    const { fields: status, error: statusError } = statusFields(req.body, current);
+    if (statusError) {
+      return res.status(400).json({ message: statusError });
+    }
+
+    const slug = await slugForTitleChange(current, title);
+
+    const edited = contentChanged(current, title, body) ? { edited_at: new Date().toISOString() } : {};
+
+    let query = supabase
+      .from("Posts")
+      .update({ title, body, ...status, ...slug, ...edited })
+      .eq("id", postId);
+
+    if (!canModerate) {
+      query = query.eq("user_id", req.user.id);
+    }
+
+    const { data: updatedPost, error } = await query.select(POST_COLUMNS).single();
+
+    if (error || !updatedPost) {
+      return res
+        .status(400)
+        .json({
+          message: "Not authorized to update this post or post not found",
+        });
+    }
+    if (slug.slug) {
+      await retirePostSlug(current.id, current.slug, slug.slug);
+    }
+    if (contentChanged(current, updatedPost.title, updatedPost.body)) {
+      await recordRevision(current, req.user.id);
+    }
+    if (req.body.tags !== undefined) {
+      updatedPost.Tags = await setPostTags(updatedPost.id, tags);
+    }
+    publishPostEvent("post.updated", updatedPost, current);
+    res.status(200).json({ updatedPost: withRenderedBody(updatedPost) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+// Comments and attachment rows are removed with the post by their
+// post_id cascades; the stored files are removed here
+router.delete("/posts/:id", authenticateToken, requireScope("posts:write"), async (req, res) => {
+  const postId = req.params.id;
+  try {
+    const attachments = await attachmentFilesForPosts([postId]);
+
+    let query = supabase
+      .from("Posts")
+      .delete()
+      .eq("id", postId);
+
+    // Moderators may remove anyone's post
+    if (!hasPermission(req.user, "posts:moderate")) {
+      query = query.eq("user_id", req.user.id);
+    }
+
+    const { data: deleteData, error } = await query.select(POST_COLUMNS).single();
+    if (error || !deleteData) {
+      return res
+        .status(400)
+        .json({
+          message: "not authorized to delete this post or post not found",
+        });
+    }
+    await removeAttachmentFiles(attachments);
+    publishPostEvent("post.deleted", deleteData);
+    res
+      .status(200)
+      .json({ message: "post deleted successfully", post: deleteData });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,170 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateSession, optionalAuthentication } from "./auth.js";
+import { onlyPubliclyVisible } from "./post-status.js";
+import { listPosts } from "./posts-routes.js";
+import { isFollowing } from "./follows.js";
+
+const router = express.Router();
+
+const PUBLIC_PROFILE_FIELDS =
+  "id, name, handle, bio, avatar_url, website, created_at, follower_count, following_count";
+const PROFILE_FIELDS = ["name", "handle", "bio", "avatar_url", "website"];
+const RESERVED_HANDLES = ["me", "admin", "api", "auth", "posts", "settings", "tags", "users"];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// Validates a PATCH /me body. Returns { changes } or { error }. Optional
+// fields are cleared with null or an empty string.
+export function validateProfileUpdate(body) {
+  const unknown = Object.keys(body || {}).filter((key) => !PROFILE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return { error: `unknown profile field: ${unknown.join(", ")}. Editable fields are ${PROFILE_FIELDS.join(", ")}` };
+  }
+
+  const changes = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const value = body[field] === null ? "" : body[field];
+    if (typeof value !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    changes[field] = value.trim() || null;
+  }
+
+  if ("name" in changes) {
+    if (!changes.name) {
+      return { error: "name cannot be empty" };
+    }
+    if (changes.name.length > 100) {
+      return { error: "name must be at most 100 characters" };
+    }
+  }
+
+  if (changes.handle) {
+    changes.handle = changes.handle.replace(/^@/, "").toLowerCase();
+    if (!/^[a-z0-9_]{3,30}$/.test(changes.handle)) {
+      return { error: "handle must be 3-30 letters, numbers or underscores" };
+    }
+    // Numeric handles would be mistaken for user ids in /users/:idOrHandle
+    if (/^\d+$/.test(changes.handle) || RESERVED_HANDLES.includes(changes.handle)) {
+      return { error: "that handle is not available" };
+    }
+  }
+
+  if (changes.bio && changes.bio.length > 500) {
+    return { error: "bio must be at most 500 characters" };
+  }
+
+  for (const field of ["avatar_url", "website"]) {
+    if (changes[field] && (changes[field].length > 500 || !isHttpUrl(changes[field]))) {
+      return { error: `${field} must be an http or https URL` };
+    }
+  }
+
+  return { changes };
+}
+
+export async function findUser(idOrHandle) {
+  const value = String(idOrHandle).replace(/^@/, "");
+  const byId = /^\d+$/.test(value);
+
+  const { data: user } = await supabase
+    .from("Users")
+    .select(PUBLIC_PROFILE_FIELDS)
+    .eq(byId ? "id" : "handle", byId ? value : value.toLowerCase())
+    .maybeSingle();
+  return user;
+}
+
+router.get("/users/:idOrHandle", optionalAuthentication, async (req, res) => {
+  try {
+    const user = await findUser(req.params.idOrHandle);
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+
+    const { count } = await onlyPubliclyVisible(
+      supabase
+        .from("Posts")
+        .select("id", { count: "exact", head: true })
+        .eq("user_id", user.id)
+    );
+
+    const profile = { ...user, post_count: count || 0 };
+    if (req.user && req.user.id !== user.id) {
+      profile.following = await isFollowing(req.user.id, user.id);
+    }
+    res.json({ user: profile });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+// Author page: the public listing narrowed to one author
+router.get("/users/:idOrHandle/posts", optionalAuthentication, async (req, res) => {
+  try {
+    const user = await findUser(req.params.idOrHandle);
+    if (!user) {
+      return res.status(404).json({ message: "user not found" });
+    }
+    return listPosts(req, res, { ...req.query, author: String(user.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.patch("/me", authenticateSession, async (req, res) => {
+  const { changes, error: validationError } = validateProfileUpdate(req.body);
+  if (validationError) {
+    return res.status(400).json({ message: validationError });
+  }
+
+  try {
+    if (changes.handle) {
+      const { data: existing } = await supabase
+        .from("Users")
+        .select("id")
+        .eq("handle", changes.handle)
+        .neq("id", req.user.id)
+        .maybeSingle();
+
+      if (existing) {
+        return res.status(409).json({ message: "that handle is already taken" });
+      }
+    }
+
+    const { data: user, error } = await supabase
+      .from("Users")
+      .update(changes)
+      .eq("id", req.user.id)
+      .select(`${PUBLIC_PROFILE_FIELDS}, email`)
+      .single();
+
+    // The unique index catches a handle taken since the check above
+    if (error && error.code === "23505") {
+      return res.status(409).json({ message: "that handle is already taken" });
+    }
+    if (error) {
+      return res.status(500).json({ message: "error updating profile", error });
+    }
+
+    res.json({ message: "profile updated", user });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
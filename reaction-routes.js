@@ -0,0 +1,113 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateToken } from "./auth.js";
+import { requireScope } from "./permissions.js";
+import { REACTION_TYPES, withReactions } from "./reactions.js";
+import { canViewPost } from "./post-status.js";
+import { notify } from "./notifications.js";
+
+const router = express.Router();
+
+function reactionType(req) {
+  const type = req.body?.type || req.query.type;
+  return REACTION_TYPES.includes(type) ? type : null;
+}
+
+async function reactionsPayload(postId, user) {
+  const { data: post, error } = await supabase
+    .from("Posts")
+    .select("id, reaction_counts")
+    .eq("id", postId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`error fetching post: ${error.message}`);
+  }
+  if (!post) {
+    return null;
+  }
+
+  const [withViewer] = await withReactions([post], user);
+  return withViewer.reactions;
+}
+
+// Posts the user can't see are reported as missing, like any other post route
+async function findVisiblePost(postId, user) {
+  const { data: post } = await supabase
+    .from("Posts")
+    .select("id, user_id, status, publish_at")
+    .eq("id", postId)
+    .maybeSingle();
+  return post && canViewPost(post, user) ? post : null;
+}
+
+router.post("/posts/:id/reactions", authenticateToken, requireScope("reactions:write"), async (req, res) => {
+  const type = reactionType(req);
+  if (!type) {
+    return res
+      .status(400)
+      .json({ message: `type must be one of: ${REACTION_TYPES.join(", ")}` });
+  }
+
+  try {
+    const post = await findVisiblePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    // Reacting twice with the same type is a no-op
+    const { data: added, error } = await supabase
+      .from("PostReactions")
+      .upsert([{ post_id: post.id, user_id: req.user.id, type }], {
+        onConflict: "post_id,user_id,type",
+        ignoreDuplicates: true,
+      })
+      .select("post_id");
+
+    if (error) {
+      return res.status(500).json({ message: "error adding reaction", error });
+    }
+    if (added.length > 0) {
+      await notify({ userId: post.user_id, actorId: req.user.id, type: "reaction", postId: post.id });
+    }
+
+    res.status(200).json({ reactions: await reactionsPayload(post.id, req.user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/posts/:id/reactions", authenticateToken, requireScope("reactions:write"), async (req, res) => {
+  const type = reactionType(req);
+  if (!type) {
+    return res
+      .status(400)
+      .json({ message: `type must be one of: ${REACTION_TYPES.join(", ")}` });
+  }
+
+  try {
+    const post = await findVisiblePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    const { error } = await supabase
+      .from("PostReactions")
+      .delete()
+      .eq("post_id", post.id)
+      .eq("user_id", req.user.id)
+      .eq("type", type);
+
+    if (error) {
+      return res.status(500).json({ message: "error removing reaction", error });
+    }
+
+    res.status(200).json({ reactions: await reactionsPayload(post.id, req.user) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,54 @@
+import { supabase } from "./db.js";
+
+export const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad", "celebrate"];
+
+// Counts for every reaction type plus whether the viewer gave it, e.g.
+// { like: { count: 3, reacted: true }, love: { count: 0, reacted: false }, ... }
+export function summarizeReactions(post, viewerTypes = []) {
+  const counts = post.reaction_counts || {};
+  const summary = {};
+  for (const type of REACTION_TYPES) {
+    summary[type] = {
+      count: counts[type] || 0,
+      reacted: viewerTypes.includes(type),
+    };
+  }
+  return summary;
+}
+
+// Types the user has reacted with, keyed by post id
+export async function viewerReactions(userId, postIds) {
+  const byPost = new Map();
+  if (!userId || postIds.length === 0) {
+    return byPost;
+  }
+
+  const { data: rows, error } = await supabase
+    .from("PostReactions")
+    .select("post_id, type")
+    .eq("user_id", userId)
+    .in("post_id", postIds);
+
+  if (error) {
+    throw new Error(`error fetching reactions: ${error.message}`);
+  }
+
+  for (const row of rows) {
+    if (!byPost.has(row.post_id)) {
+      byPost.set(row.post_id, []);
+    }
+    byPost.get(row.post_id).push(row.type);
+  }
+  return byPost;
+}
+
+export async function withReactions(posts, viewer) {
+  const byPost = await viewerReactions(
+    viewer?.id,
+    posts.map((post) => post.id)
+  );
+  return posts.map((post) => ({
+    ...post,
+    reactions: summarizeReactions(post, byPost.get(post.id)),
+  }));
+}
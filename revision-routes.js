@@ -0,0 +1,168 @@
+import express from "express";
+import { supabase } from "./db.js";
+import { authenticateToken } from "./auth.js";
+import { hasPermission, requireScope } from "./permissions.js";
+import { diffLines } from "./diff.js";
+import { withRenderedBody } from "./markdown.js";
+import { contentChanged, recordRevision } from "./revisions.js";
+import { retirePostSlug, slugForTitleChange } from "./slugs.js";
+import { publishPostEvent } from "./events.js";
+import { POST_COLUMNS } from "./post-columns.js";
+
+const router = express.Router();
+
+// Revision history is only shown to the people who can edit the post
+async function findEditablePost(postId, user) {
+  const { data: post } = await supabase
+    .from("Posts")
+    .select(POST_COLUMNS)
+    .eq("id", postId)
+    .maybeSingle();
+
+  if (!post || (post.user_id !== user.id && !hasPermission(user, "posts:moderate"))) {
+    return null;
+  }
+  return post;
+}
+
+async function findRevision(postId, revision) {
+  const { data } = await supabase
+    .from("PostRevisions")
+    .select("revision, title, body, created_at")
+    .eq("post_id", postId)
+    .eq("revision", revision)
+    .maybeSingle();
+  return data;
+}
+
+// "current" stands for the post as it is now
+async function loadVersion(post, revision) {
+  if (revision === "current") {
+    return { revision: "current", title: post.title, body: post.body };
+  }
+  const number = parseInt(revision);
+  return Number.isInteger(number) ? findRevision(post.id, number) : null;
+}
+
+router.get("/posts/:id/revisions", authenticateToken, async (req, res) => {
+  try {
+    let page = parseInt(req.query.page) || 1;
+    let limit = parseInt(req.query.limit) || 20;
+    if (page < 1) {
+      page = 1;
+    }
+    limit = Math.min(Math.max(limit, 1), 100);
+
+    const start = (page - 1) * limit;
+    const end = start + limit - 1;
+
+    const post = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    const { data: revisions, count, error } = await supabase
+      .from("PostRevisions")
+      .select(`
+        revision,
+        title,
+        body,
+        created_at,
+        Users (
+          id,
+          name
+        )
+      `, { count: "exact" })
+      .eq("post_id", post.id)
+      .order("revision", { ascending: false })
+      .range(start, end);
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching revisions", error });
+    }
+    res.json({
+      revisions,
+      totalRevisions: count || 0,
+      totalPages: Math.ceil((count || 0) / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "revisions fetch failed on server" });
+  }
+});
+
+// ?from=<rev>&to=<rev|current>, comparing against the live post by default
+router.get("/posts/:id/revisions/diff", authenticateToken, async (req, res) => {
+  if (!req.query.from) {
+    return res.status(400).json({ message: "from is required" });
+  }
+
+  try {
+    const post = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    const from = await loadVersion(post, req.query.from);
+    const to = await loadVersion(post, req.query.to || "current");
+    if (!from || !to) {
+      return res.status(404).json({ message: "revision not found" });
+    }
+
+    res.json({
+      from: from.revision,
+      to: to.revision,
+      title: { before: from.title, after: to.title, changed: from.title !== to.title },
+      body: diffLines(from.body, to.body),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+// Restoring is itself an edit, so the content it replaces becomes a revision
+router.post("/posts/:id/revisions/:rev/restore", authenticateToken, requireScope("posts:write"), async (req, res) => {
+  try {
+    const post = await findEditablePost(req.params.id, req.user);
+    if (!post) {
+      return res.status(404).json({ message: "post not found" });
+    }
+
+    const revision = await loadVersion(post, req.params.rev);
+    if (!revision || revision.revision === "current") {
+      return res.status(404).json({ message: "revision not found" });
+    }
+
+    if (!contentChanged(post, revision.title, revision.body)) {
+      return res.status(200).json({ message: "post already matches this revision", updatedPost: withRenderedBody(post) });
+    }
+
+    const slug = await slugForTitleChange(post, revision.title);
+
+    const { data: updatedPost, error } = await supabase
+      .from("Posts")
+      .update({ title: revision.title, body: revision.body, ...slug, edited_at: new Date().toISOString() })
+      .eq("id", post.id)
+      .select(POST_COLUMNS)
+      .single();
+
+    if (error) {
+      return res.status(500).json({ message: "error restoring revision", error });
+    }
+
+    if (slug.slug) {
+      await retirePostSlug(post.id, post.slug, slug.slug);
+    }
+
+    await recordRevision(post, req.user.id);
+    publishPostEvent("post.updated", updatedPost, post);
+    res.status(200).json({ message: "revision restored", updatedPost: withRenderedBody(updatedPost) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import { supabase } from "./db.js";
+
+// Appends the content a post had before an edit. Revision numbers count up
+// per post; a concurrent edit taking the same number just retries.
+export async function recordRevision(previous, editorId) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: latest } = await supabase
+      .from("PostRevisions")
+      .select("revision")
+      .eq("post_id", previous.id)
+      .order("revision", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const { data: revision, error } = await supabase
+      .from("PostRevisions")
+      .insert([
+        {
+          post_id: previous.id,
+          revision: (latest?.revision || 0) + 1,
+          title: previous.title,
+          body: previous.body,
+          editor_id: editorId,
+        },
+      ])
+      .select()
+      .single();
+
+    if (!error) {
+      return revision;
+    }
+    if (error.code !== "23505") {
+      throw new Error(`error recording revision: ${error.message}`);
+    }
+  }
+
+  throw new Error("error recording revision: too many concurrent edits");
+}
+
+export function contentChanged(post, title, body) {
+  return post.title !== title || post.body !== body;
+}
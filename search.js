@@ -0,0 +1,223 @@
+import { supabase } from "./db.js";
+import { selectTaggedPosts } from "./tags.js";
+import { applyListingFilters } from "./post-filters.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Splits text into lowercase ascii words, the same way for documents and queries
+export function tokenize(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || [];
+}
+
+// Parses a search box query into terms. "quoted text" is a phrase, a
+// trailing * makes a prefix match, and everything else is a plain word.
+// Every term has to match.
+export function parseSearchQuery(input) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ""))) !== null) {
+    if (match[1] !== undefined) {
+      const words = tokenize(match[1]);
+      if (words.length > 1) {
+        terms.push({ type: "phrase", words });
+      } else if (words.length === 1) {
+        terms.push({ type: "word", word: words[0] });
+      }
+      continue;
+    }
+
+    const isPrefix = match[2].endsWith("*");
+    const words = tokenize(match[2]);
+    words.forEach((word, i) => {
+      const last = i === words.length - 1;
+      terms.push({ type: isPrefix && last ? "prefix" : "word", word });
+    });
+  }
+
+  return terms;
+}
+
+// tsquery syntax for the postgres backend. Terms only contain [a-z0-9], so
+// nothing from the user reaches to_tsquery unescaped.
+export function toTsQuery(terms) {
+  return terms
+    .map((term) => {
+      if (term.type === "phrase") {
+        return `(${term.words.join(" <-> ")})`;
+      }
+      return term.type === "prefix" ? `${term.word}:*` : term.word;
+    })
+    .join(" & ");
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function termMatchesAt(term, tokens, i) {
+  if (term.type === "phrase") {
+    return term.words.every((word, offset) => tokens[i + offset] === word);
+  }
+  if (term.type === "prefix") {
+    return tokens[i].startsWith(term.word);
+  }
+  return tokens[i] === term.word;
+}
+
+function countMatches(term, tokens) {
+  let count = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    if (termMatchesAt(term, tokens, i)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+const SNIPPET_WORDS = 30;
+
+// Body excerpt around the first match with matching words wrapped in <mark>
+export function highlight(text, terms) {
+  const words = String(text || "").split(/\s+/).filter(Boolean);
+
+  // Tokens in order, remembering which whitespace-separated word each came from
+  const tokens = [];
+  const wordOf = [];
+  words.forEach((word, i) => {
+    for (const token of tokenize(word)) {
+      tokens.push(token);
+      wordOf.push(i);
+    }
+  });
+
+  const marked = new Set();
+  for (let i = 0; i < tokens.length; i++) {
+    for (const term of terms) {
+      if (termMatchesAt(term, tokens, i)) {
+        const length = term.type === "phrase" ? term.words.length : 1;
+        for (let j = i; j < i + length; j++) {
+          marked.add(wordOf[j]);
+        }
+      }
+    }
+  }
+
+  const first = marked.size > 0 ? Math.min(...marked) : 0;
+  const start = Math.max(0, first - 10);
+  const end = Math.min(words.length, start + SNIPPET_WORDS);
+
+  const snippet = words
+    .slice(start, end)
+    .map((word, i) => (marked.has(start + i) ? `<mark>${escapeHtml(word)}</mark>` : escapeHtml(word)))
+    .join(" ");
+
+  return `${start > 0 ? "… " : ""}${snippet}${end < words.length ? " …" : ""}`;
+}
+
+// Field weights follow postgres' defaults for A, B and C
+const FIELD_WEIGHTS = { title: 1.0, body: 0.4, author: 0.2 };
+
+const backends = {
+  // Ranked in Postgres by the search_posts function (see migrations)
+  postgres: async (terms, { limit, offset, filters }) => {
+    const { data, error } = await supabase.rpc("search_posts", {
+      search_query: toTsQuery(terms),
+      result_limit: limit,
+      result_offset: offset,
+      tag_slugs: filters.tagSlugs.length > 0 ? filters.tagSlugs : null,
+      match_all: filters.tagMatch === "all",
+      author_id: filters.author,
+      published_from: filters.from?.toISOString() ?? null,
+      published_to: filters.to?.toISOString() ?? null,
+      edited: filters.edited,
+    });
+
+    if (error) {
+      throw new Error(`error searching posts: ${error.message}`);
+    }
+
+    return {
+      results: data.map(({ id, rank, snippet }) => ({ id, rank, snippet })),
+      total: data.length > 0 ? Number(data[0].total_count) : 0,
+    };
+  },
+
+  // Loads visible posts and ranks them in process. Meant for tests and local
+  // databases without the search_posts function, not for large tables.
+  memory: async (terms, { limit, offset, filters }) => {
+    const columns = "id, title, body, Users (name)";
+    const query = applyListingFilters(
+      (
+        filters.tagSlugs.length > 0
+          ? selectTaggedPosts(filters.tagSlugs, filters.tagMatch, columns)
+          : supabase.from("Posts").select(columns)
+      )
+        .in("status", ["published", "scheduled"])
+        .lte("publish_at", new Date().toISOString()),
+      filters
+    );
+
+    const { data: posts, error } = await query;
+    if (error) {
+      throw new Error(`error searching posts: ${error.message}`);
+    }
+
+    const ranked = [];
+    for (const post of posts) {
+      const fields = {
+        title: tokenize(post.title),
+        body: tokenize(post.body),
+        author: tokenize(post.Users?.name),
+      };
+
+      let rank = 0;
+      const allMatch = terms.every((term) => {
+        let termRank = 0;
+        for (const [field, tokens] of Object.entries(fields)) {
+          termRank += countMatches(term, tokens) * FIELD_WEIGHTS[field];
+        }
+        rank += termRank;
+        return termRank > 0;
+      });
+
+      if (allMatch) {
+        ranked.push({ id: post.id, rank, snippet: highlight(post.body, terms) });
+      }
+    }
+
+    ranked.sort((a, b) => b.rank - a.rank || b.id - a.id);
+    return { results: ranked.slice(offset, offset + limit), total: ranked.length };
+  },
+};
+
+let customBackend = null;
+
+export function setSearchBackend(backend) {
+  customBackend = backend;
+}
+
+const NO_FILTERS = { tagSlugs: [], tagMatch: "any", author: null, from: null, to: null, edited: null };
+
+// Returns { results: [{ id, rank, snippet }], total } for one page of
+// matches, best first. filters takes the tag, author, date and edited
+// options of parseListingQuery.
+export async function searchPosts(input, { limit = 10, offset = 0, filters = {} } = {}) {
+  const terms = parseSearchQuery(input);
+  if (terms.length === 0) {
+    return { results: [], total: 0 };
+  }
+
+  const backend = customBackend || backends[process.env.SEARCH_BACKEND || "postgres"];
+  if (!backend) {
+    throw new Error(`Unknown search backend: ${process.env.SEARCH_BACKEND}`);
+  }
+
+  return backend(terms, { limit, offset, filters: { ...NO_FILTERS, ...filters } });
+}
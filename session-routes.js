@@ -0,0 +1,108 @@
+import express from "express";
+import { supabase } from "./db.js";
+import {
+  authenticateSession,
+  clearAuthCookies,
+  refreshCookieName,
+  revokeAllApiKeys,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from "./auth.js";
+
+const router = express.Router();
+
+router.post("/auth/refresh", async (req, res) => {
+  const refreshToken =
+    (req.cookies && req.cookies[refreshCookieName()]) || req.body?.refreshToken;
+
+  if (!refreshToken) {
+    return res.status(401).json({ message: "No refresh token found" });
+  }
+
+  try {
+    const result = await rotateRefreshToken(refreshToken, res);
+
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: result.error });
+    }
+
+    res.status(200).json({
+      message: "Token refreshed",
+      token: result.token,
+      user: { id: result.user.id, name: result.user.name, email: result.user.email },
+    });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.get("/auth/sessions", authenticateSession, async (req, res) => {
+  try {
+    const { data: sessions, error } = await supabase
+      .from("Sessions")
+      .select("id, user_agent, ip, created_at, last_seen_at, expires_at")
+      .eq("user_id", req.user.id)
+      .is("revoked_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .order("last_seen_at", { ascending: false });
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching sessions", error });
+    }
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+// Log out everywhere, API keys included
+router.delete("/auth/sessions", authenticateSession, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    await revokeAllApiKeys(req.user.id);
+    clearAuthCookies(res);
+    res.status(200).json({ message: "all sessions and API keys revoked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+router.delete("/auth/sessions/:id", authenticateSession, async (req, res) => {
+  const sessionId = req.params.id;
+  try {
+    const { data: session, error } = await supabase
+      .from("Sessions")
+      .select("id")
+      .eq("id", sessionId)
+      .eq("user_id", req.user.id)
+      .is("revoked_at", null)
+      .maybeSingle();
+
+    if (error || !session) {
+      return res.status(404).json({ message: "session not found" });
+    }
+
+    await revokeSession(session.id);
+
+    if (session.id === req.user.sid) {
+      clearAuthCookies(res);
+    }
+    res.status(200).json({ message: "session revoked" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "internal server error" });
+  }
+});
+
+export default router;
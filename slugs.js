@@ -0,0 +1,89 @@
+import { supabase } from "./db.js";
+
+const MAX_SLUG_LENGTH = 80;
+
+// "Hello, World!" -> "hello-world"
+export function slugify(text, maxLength = MAX_SLUG_LENGTH) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
+}
+
+// Slugs never look like ids so /posts/:idOrSlug stays unambiguous
+function baseSlug(title) {
+  const slug = slugify(title) || "post";
+  return /^\d+$/.test(slug) ? `post-${slug}` : slug;
+}
+
+// First free slug for the title: "my-post", then "my-post-2", "my-post-3"...
+// Slugs a post used before stay reserved for redirects, except for that post.
+export async function uniquePostSlug(title, postId = null) {
+  const base = baseSlug(title);
+
+  const [{ data: posts, error: postsError }, { data: history, error: historyError }] =
+    await Promise.all([
+      supabase.from("Posts").select("id, slug").like("slug", `${base}%`),
+      supabase.from("PostSlugHistory").select("post_id, slug").like("slug", `${base}%`),
+    ]);
+
+  if (postsError || historyError) {
+    throw new Error(`error checking slugs: ${(postsError || historyError).message}`);
+  }
+
+  const taken = new Set(
+    [...posts.map((p) => ({ post_id: p.id, slug: p.slug })), ...history]
+      .filter((row) => row.post_id !== postId)
+      .map((row) => row.slug)
+  );
+
+  let candidate = base;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${base}-${n}`;
+  }
+  return candidate;
+}
+
+// Keeps the old slug redirecting after a rename. A post taking back one of
+// its own old slugs drops it from the history.
+export async function retirePostSlug(postId, oldSlug, newSlug) {
+  await supabase
+    .from("PostSlugHistory")
+    .delete()
+    .eq("slug", newSlug)
+    .eq("post_id", postId);
+
+  if (!oldSlug || oldSlug === newSlug) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from("PostSlugHistory")
+    .upsert([{ slug: oldSlug, post_id: postId }], { onConflict: "slug", ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(`error saving old slug: ${error.message}`);
+  }
+}
+
+// Slug fields for an update that may change the title
+export async function slugForTitleChange(current, title) {
+  if (current.title === title && current.slug) {
+    return {};
+  }
+  const slug = await uniquePostSlug(title, current.id);
+  return slug === current.slug ? {} : { slug };
+}
+
+export async function findPostIdByOldSlug(slug) {
+  const { data } = await supabase
+    .from("PostSlugHistory")
+    .select("post_id")
+    .eq("slug", slug)
+    .maybeSingle();
+  return data?.post_id || null;
+}
@@ -0,0 +1,83 @@
+import fs from "fs/promises";
+import path from "path";
+import { supabase } from "./db.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export function uploadDir() {
+  return path.resolve(process.env.UPLOAD_DIR || "uploads");
+}
+
+// Keys are generated by us ("posts/<id>/<uuid>.jpg"), but never let one
+// point outside the upload directory
+function localPath(key) {
+  const filePath = path.resolve(uploadDir(), key);
+  if (!filePath.startsWith(uploadDir() + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+// Each driver stores, removes and links to files by key. The local driver
+// is served by attachment-routes.js under /uploads.
+const drivers = {
+  local: {
+    async put(key, buffer) {
+      const filePath = localPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async remove(keys) {
+      await Promise.all(keys.map((key) => fs.rm(localPath(key), { force: true })));
+    },
+    url(key) {
+      return `${process.env.BACKEND_URL || ""}/uploads/${key}`;
+    },
+  },
+
+  // Needs a public bucket, STORAGE_BUCKET (default "attachments")
+  supabase: {
+    async put(key, buffer, contentType) {
+      const { error } = await supabase.storage
+        .from(process.env.STORAGE_BUCKET || "attachments")
+        .upload(key, buffer, { contentType, upsert: false });
+      if (error) {
+        throw new Error(`error uploading ${key}: ${error.message}`);
+      }
+    },
+    async remove(keys) {
+      const { error } = await supabase.storage
+        .from(process.env.STORAGE_BUCKET || "attachments")
+        .remove(keys);
+      if (error) {
+        throw new Error(`error removing files: ${error.message}`);
+      }
+    },
+    url(key) {
+      return supabase.storage
+        .from(process.env.STORAGE_BUCKET || "attachments")
+        .getPublicUrl(key).data.publicUrl;
+    },
+  },
+};
+
+let customDriver = null;
+
+export function setStorageDriver(driver) {
+  customDriver = driver;
+}
+
+// Attachments remember which driver stored them, so switching STORAGE_DRIVER
+// doesn't break links to older files
+export function getStorageDriver(name = process.env.STORAGE_DRIVER || "local") {
+  const driver = customDriver || drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+}
+
+export function currentStorageDriverName() {
+  return customDriver ? "custom" : process.env.STORAGE_DRIVER || "local";
+}
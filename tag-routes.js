@@ -0,0 +1,24 @@
+import express from "express";
+import { supabase } from "./db.js";
+
+const router = express.Router();
+
+// Tags on public posts, most used first
+router.get("/tags", async (req, res) => {
+  try {
+    let limit = parseInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(limit, 1), 200);
+
+    const { data: tags, error } = await supabase.rpc("public_tag_counts", { result_limit: limit });
+
+    if (error) {
+      return res.status(500).json({ message: "error fetching tags", error });
+    }
+    res.json({ tags });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "tags fetch failed on server" });
+  }
+});
+
+export default router;
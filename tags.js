@@ -0,0 +1,106 @@
+import { supabase } from "./db.js";
+import { slugify } from "./slugs.js";
+
+const MAX_TAGS_PER_POST = 10;
+const MAX_TAG_LENGTH = 50;
+
+// "Node.js Tips" -> "node-js-tips"
+export function normalizeTag(name) {
+  return slugify(name, MAX_TAG_LENGTH);
+}
+
+// Accepts an array or a comma separated string. Returns { tags } with one
+// entry per distinct slug, or { error } for input that can't be used.
+export function parseTags(input) {
+  if (input === undefined || input === null) {
+    return { tags: [] };
+  }
+
+  const names = typeof input === "string" ? input.split(",") : input;
+  if (!Array.isArray(names) || names.some((name) => typeof name !== "string")) {
+    return { error: "tags must be an array of strings" };
+  }
+
+  const bySlug = new Map();
+  for (const name of names) {
+    const slug = normalizeTag(name);
+    if (slug && !bySlug.has(slug)) {
+      bySlug.set(slug, { slug, name: name.trim().slice(0, MAX_TAG_LENGTH) });
+    }
+  }
+
+  if (bySlug.size > MAX_TAGS_PER_POST) {
+    return { error: `a post can have at most ${MAX_TAGS_PER_POST} tags` };
+  }
+  return { tags: Array.from(bySlug.values()) };
+}
+
+// Slugs from ?tag=a,b or ?tag=a&tag=b
+export function tagSlugsFromQuery(value) {
+  const values = Array.isArray(value) ? value : [value];
+  const slugs = values
+    .filter((v) => typeof v === "string")
+    .flatMap((v) => v.split(","))
+    .map(normalizeTag)
+    .filter(Boolean);
+  return Array.from(new Set(slugs));
+}
+
+// Replaces the post's tags, creating any that don't exist yet
+export async function setPostTags(postId, tags) {
+  let tagRows = [];
+  if (tags.length > 0) {
+    const { error: upsertError } = await supabase
+      .from("Tags")
+      .upsert(tags, { onConflict: "slug", ignoreDuplicates: true });
+
+    if (upsertError) {
+      throw new Error(`error creating tags: ${upsertError.message}`);
+    }
+
+    const { data, error } = await supabase
+      .from("Tags")
+      .select("id, slug, name")
+      .in("slug", tags.map((tag) => tag.slug));
+
+    if (error) {
+      throw new Error(`error fetching tags: ${error.message}`);
+    }
+    tagRows = data;
+  }
+
+  const tagIds = tagRows.map((tag) => tag.id);
+
+  let removal = supabase.from("PostTags").delete().eq("post_id", postId);
+  if (tagIds.length > 0) {
+    removal = removal.not("tag_id", "in", `(${tagIds.join(",")})`);
+  }
+  const { error: deleteError } = await removal;
+  if (deleteError) {
+    throw new Error(`error updating post tags: ${deleteError.message}`);
+  }
+
+  if (tagIds.length > 0) {
+    const { error: linkError } = await supabase
+      .from("PostTags")
+      .upsert(
+        tagIds.map((tagId) => ({ post_id: postId, tag_id: tagId })),
+        { onConflict: "post_id,tag_id", ignoreDuplicates: true }
+      );
+
+    if (linkError) {
+      throw new Error(`error updating post tags: ${linkError.message}`);
+    }
+  }
+
+  return tagRows.map(({ slug, name }) => ({ slug, name }));
+}
+
+// Posts tagged with any (or, with match "all", every one) of the slugs. The
+// match happens in the database (see tagged_posts in migrations) and the
+// query takes further filters like one on "Posts".
+export function selectTaggedPosts(slugs, match, columns, options = {}) {
+  return supabase
+    .rpc("tagged_posts", { tag_slugs: slugs, match_all: match === "all" }, options)
+    .select(columns);
+}
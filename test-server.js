@@ -1,11 +1,42 @@
 import express from "express";
 import cors from "cors";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import { supabase } from "./db.js";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
 import session from "express-session";
+import {
+  clearAuthCookies,
+  generateTokenAndSetCookie,
+  refreshCookieName,
+  resolveUser,
+  revokeRefreshToken,
+} from "./auth.js";
+import sessionRoutes from "./session-routes.js";
+import passwordRoutes from "./password-routes.js";
+import verificationRoutes, { sendVerificationEmail } from "./verification-routes.js";
+import mfaRoutes, { issueMfaToken } from "./mfa-routes.js";
+import identityRoutes from "./identity-routes.js";
+import oauthRoutes from "./oauth-routes.js";
+import adminRoutes from "./admin-routes.js";
+import apiKeyRoutes from "./api-key-routes.js";
+import postsRoutes from "./posts-routes.js";
+import commentRoutes from "./comment-routes.js";
+import reactionRoutes from "./reaction-routes.js";
+import tagRoutes from "./tag-routes.js";
+import revisionRoutes from "./revision-routes.js";
+import attachmentRoutes from "./attachment-routes.js";
+import profileRoutes from "./profile-routes.js";
+import followRoutes from "./follow-routes.js";
+import notificationRoutes from "./notification-routes.js";
+import eventRoutes from "./event-routes.js";
+import lockoutRoutes, {
+  DUMMY_PASSWORD_HASH,
+  checkLoginThrottle,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./lockout-routes.js";
+import passport from "./passport-config.js";
 
 dotenv.config();
 
@@ -33,42 +64,7 @@ app.use(
   })
 );
 
-async function authenticateToken(req, res, next) {
-  const authHeader = req.headers["authorization"] || "";
-  const headerToken = authHeader && authHeader.split(" ")[1];
-  const cookieToken = req.cookies && req.cookies[process.env.COOKIE_NAME];
-  const token = headerToken || cookieToken;
-
-  if (!token) {
-    return res.status(401).json({ message: "Invalid or no token found" });
-  }
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    console.error("Token verification error:", err);
-    return res.status(401).json({ message: "Invalid token" });
-  }
-}
-
-function generateTokenAndSetCookie(user, res) {
-  const token = jwt.sign(
-    { id: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: "24h" }
-  );
-
-  res.cookie(process.env.COOKIE_NAME, token, {
-    maxAge: 24 * 60 * 60 * 1000,
-    httpOnly: true,
-    sameSite: "lax",
-    secure: false,
-  });
-
-  return token;
-}
+app.use(passport.initialize());
 
 app.post("/auth/register", async (req, res) => {
   const { name, email, password } = req.body;
@@ -93,6 +89,11 @@ app.post("/auth/register", async (req, res) => {
     if (userError) {
       return res.status(500).json({ message: "error creating user" });
     }
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
     res.status(201).json({
       message: "User created successfully",
       user: { id: newUser.id, name: newUser.name, email: newUser.email },
@@ -113,28 +114,39 @@ app.post("/auth/login", async (req, res) => {
   }
 
   try {
+    const throttle = await checkLoginThrottle(email, req.ip);
+    if (throttle) {
+      res.set("Retry-After", String(throttle.retryAfter));
+      return res.status(429).json({ message: throttle.message });
+    }
+
     const { data: user, error } = await supabase
       .from("Users")
       .select("*")
       .eq("email", email)
       .single();
 
-    if (!user || error) {
-      return res.status(400).json({ message: "User not found" });
+    // Unknown emails, OAuth-only accounts and wrong passwords all get the same
+    // response, and the dummy hash keeps their timing the same too
+    const isMatch = await bcrypt.compare(password, (user && user.password) || DUMMY_PASSWORD_HASH);
+    if (!user || error || !user.password || !isMatch) {
+      await recordLoginFailure(email, req.ip);
+      return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    if (!user.password) {
-      return res.status(400).json({
-        message: "This account uses Google login. Please sign in with Google.",
+    // Accounts with 2FA finish logging in at /auth/login/mfa, which records
+    // the success once the second factor checks out
+    if (user.totp_enabled_at) {
+      return res.status(200).json({
+        message: "Two-factor authentication required",
+        mfaRequired: true,
+        mfaToken: issueMfaToken(user),
       });
     }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
-    }
+    await recordLoginSuccess(email, req.ip);
 
-    generateTokenAndSetCookie(user, res);
+    await generateTokenAndSetCookie(user, res);
 
     res.status(200).json({
       message: "Login successful",
@@ -150,27 +162,39 @@ app.post("/auth/login", async (req, res) => {
   }
 });
 
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie(process.env.COOKIE_NAME, {
-    httpOnly: true,
-    sameSite: "lax",
-    secure: false,
-  });
+app.post("/auth/logout", async (req, res) => {
+  const refreshToken = req.cookies && req.cookies[refreshCookieName()];
+  try {
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+  } catch (err) {
+    console.error("Logout revocation error:", err);
+  }
+  clearAuthCookies(res);
   res.status(200).json({ message: "logout successful" });
 });
 
+app.use(sessionRoutes);
+app.use(passwordRoutes);
+app.use(verificationRoutes);
+app.use(mfaRoutes);
+app.use(identityRoutes);
+app.use(adminRoutes);
+app.use(lockoutRoutes);
+app.use(apiKeyRoutes);
+
 app.get("/auth/me", async (req, res) => {
   try {
-    const cookieToken = req.cookies && req.cookies[process.env.COOKIE_NAME];
-    if (!cookieToken) {
+    const { user: authUser } = await resolveUser(req);
+    if (!authUser) {
       return res.status(401).json({ user: null });
     }
 
-    const decoded = jwt.verify(cookieToken, process.env.JWT_SECRET);
     const { data: user, error } = await supabase
       .from("Users")
-      .select("id, name, email, created_at")
-      .eq("id", decoded.id)
+      .select("id, name, email, created_at, verified_at")
+      .eq("id", authUser.id)
       .single();
 
     if (error || !user) {
@@ -183,6 +207,7 @@ app.get("/auth/me", async (req, res) => {
         name: user.name,
         email: user.email,
         created_at: user.created_at,
+        email_verified: !!user.verified_at,
       },
     });
   } catch (err) {
@@ -191,119 +216,18 @@ app.get("/auth/me", async (req, res) => {
   }
 });
 
-app.get("/posts", async (req, res) => {
-  try {
-    let page = parseInt(req.query.page) || 1;
-    let limit = parseInt(req.query.limit) || 10;
-    const search = req.query.search || "";
-    if (page < 1) {
-      page = 1;
-    }
-    limit = Math.min(limit, 100);
-
-    const start = (page - 1) * limit;
-    const end = start + limit - 1;
-
-    let query = supabase
-      .from("Posts")
-      .select("*", { count: "exact" })
-      .order("created_at", { ascending: false });
-
-    if (search) {
-      query = query.ilike("title", `%${search}%`);
-    }
-    query = query.range(start, end);
-    const { data: posts, count, error } = await query;
-
-    if (error) {
-      return res.status(500).json({ message: "error fetching posts", error });
-    }
-    res.json({
-      posts,
-      totalPosts: count || 0,
-      totalPages: Math.ceil((count || 0) / limit),
-      currentPage: page,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "posts fetch failed on server" });
-  }
-});
-
-app.post("/posts", authenticateToken, async (req, res) => {
-  const { title, body } = req.body;
-  if (!title || !body) {
-    return res.status(400).json({ message: "title and body are required" });
-  }
-  try {
-    const { data: post, error } = await supabase
-      .from("Posts")
-      .insert([{ title, body, user_id: req.user.id }])
-      .select()
-      .single();
-    if (error) {
-      return res.status(500).json({ message: "error creating post", error });
-    }
-    res.status(201).json({ message: "post created successfully", post });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
-
-app.put("/posts/:id", authenticateToken, async (req, res) => {
-  const postId = req.params.id;
-  const { title, body } = req.body;
-  if (!title || !body) {
-    return res.status(400).json({ message: "title and body are required" });
-  }
-  try {
-    const { data: updatedPost, error } = await supabase
-      .from("Posts")
-      .update({ title, body })
-      .select()
-      .eq("id", postId)
-      .eq("user_id", req.user.id)
-      .single();
-
-    if (error || !updatedPost) {
-      return res
-        .status(400)
-        .json({
-          message: "Not authorized to update this post or post not found",
-        });
-    }
-    res.status(200).json({ updatedPost });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
-
-app.delete("/posts/:id", authenticateToken, async (req, res) => {
-  const postId = req.params.id;
-  try {
-    const { data: deleteData, error } = await supabase
-      .from("Posts")
-      .delete()
-      .eq("id", postId)
-      .eq("user_id", req.user.id)
-      .select()
-      .single();
-    if (error || !deleteData) {
-      return res
-        .status(400)
-        .json({
-          message: "not authorized to delete this post or post not found",
-        });
-    }
-    res
-      .status(200)
-      .json({ message: "post deleted successfully", post: deleteData });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "internal server error" });
-  }
-});
+// Provider routes go last so /auth/:provider never shadows the routes above
+app.use(oauthRoutes);
+
+app.use(postsRoutes);
+app.use(commentRoutes);
+app.use(reactionRoutes);
+app.use(tagRoutes);
+app.use(revisionRoutes);
+app.use(attachmentRoutes);
+app.use(profileRoutes);
+app.use(followRoutes);
+app.use(notificationRoutes);
+app.use(eventRoutes);
 
 export default app;
@@ -0,0 +1,151 @@
+import express from "express";
+import crypto from "crypto";
+import { supabase } from "./db.js";
+import { authenticateSession, hashToken } from "./auth.js";
+import { sendMail } from "./mailer.js";
+
+const router = express.Router();
+
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+const RESEND_INTERVAL_SECONDS = parseInt(process.env.VERIFY_RESEND_INTERVAL_SECONDS) || 60;
+
+export async function sendVerificationEmail(user) {
+  // A new link replaces any earlier ones
+  await supabase
+    .from("EmailVerificationTokens")
+    .update({ used_at: new Date().toISOString() })
+    .eq("user_id", user.id)
+    .is("used_at", null);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const { error } = await supabase.from("EmailVerificationTokens").insert([
+    {
+      user_id: user.id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    },
+  ]);
+
+  if (error) {
+    throw new Error(`error storing verification token: ${error.message}`);
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name}, please confirm your email address. The link expires in ${VERIFY_TOKEN_TTL_HOURS} hours.\n\n` +
+      `${process.env.FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`,
+  });
+}
+
+// Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION_TO_POST is on
+export async function requireVerifiedEmail(req, res, next) {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION_TO_POST !== "true") {
+    return next();
+  }
+
+  try {
+    const { data: user, error } = await supabase
+      .from("Users")
+      .select("verified_at")
+      .eq("id", req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    if (!user.verified_at) {
+      return res.status(403).json({ message: "Please verify your email address first" });
+    }
+
+    next();
+  } catch (err) {
+    console.error("Verification check error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+}
+
+router.get("/auth/verify", async (req, res) => {
+  const token = req.query.token;
+  if (!token) {
+    return res.status(400).json({ message: "token is required" });
+  }
+
+  try {
+    const { data: claimed, error } = await supabase
+      .from("EmailVerificationTokens")
+      .update({ used_at: new Date().toISOString() })
+      .eq("token_hash", hashToken(token))
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error || !claimed) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    const { error: updateError } = await supabase
+      .from("Users")
+      .update({ verified_at: new Date().toISOString() })
+      .eq("id", claimed.user_id)
+      .is("verified_at", null);
+
+    if (updateError) {
+      console.error("Error marking email verified:", updateError);
+      return res.status(500).json({ message: "Internal server error" });
+    }
+
+    res.status(200).json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+router.post("/auth/verify/resend", authenticateSession, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from("Users")
+      .select("id, name, email, verified_at")
+      .eq("id", req.user.id)
+      .single();
+
+    if (error || !user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.verified_at) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const { data: latest } = await supabase
+      .from("EmailVerificationTokens")
+      .select("created_at")
+      .eq("user_id", user.id)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latest) {
+      const elapsed = (Date.now() - new Date(latest.created_at).getTime()) / 1000;
+      if (elapsed < RESEND_INTERVAL_SECONDS) {
+        const retryAfter = Math.ceil(RESEND_INTERVAL_SECONDS - elapsed);
+        res.set("Retry-After", String(retryAfter));
+        return res
+          .status(429)
+          .json({ message: `Please wait ${retryAfter} seconds before requesting another email` });
+      }
+    }
+
+    await sendVerificationEmail(user);
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+export default router;